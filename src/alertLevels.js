@@ -0,0 +1,64 @@
+// Named LTV severity levels, e.g.
+//
+//   [{ "name": "watch", "ltv": 0.65, "cooldown": 3600 },
+//    { "name": "warning", "ltv": 0.74 },
+//    { "name": "critical", "ltv": 0.8, "cooldown": 60 }]
+//
+// A position is in the highest level whose `ltv` it has reached, or in none
+// (index -1). Cooldowns are in seconds in the config and in milliseconds
+// once parsed.
+
+// Validates and sorts a levels config, lowest LTV first
+function parseAlertLevels(levels, defaultCooldown) {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error("Alert levels must be a non-empty JSON array");
+  }
+
+  const parsed = levels.map((level, index) => {
+    const ltv = parseFloat(level.ltv);
+    if (!level.name || !(ltv > 0)) {
+      throw new Error(`Alert level #${index + 1}: needs a name and an ltv`);
+    }
+    return {
+      name: level.name,
+      ltv,
+      cooldown:
+        level.cooldown !== undefined
+          ? parseInt(level.cooldown) * 1000
+          : defaultCooldown,
+    };
+  });
+
+  return parsed.sort((a, b) => a.ltv - b.ltv);
+}
+
+// Highest level reached at `ltv`, or -1
+function levelAt(levels, ltv) {
+  let index = -1;
+  levels.forEach((level, i) => {
+    if (ltv >= level.ltv) index = i;
+  });
+  return index;
+}
+
+// Level after a new reading. Escalation is immediate; a position only drops
+// out of a level once its LTV is `hysteresis` below that level's boundary,
+// so readings hovering at a boundary don't flap.
+function nextLevel(levels, current, ltv, hysteresis) {
+  const reached = levelAt(levels, ltv);
+  if (reached >= current) {
+    return reached;
+  }
+
+  let level = current;
+  while (level > reached && ltv < levels[level].ltv - hysteresis) {
+    level--;
+  }
+  return level;
+}
+
+module.exports = {
+  parseAlertLevels,
+  levelAt,
+  nextLevel,
+};
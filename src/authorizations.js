@@ -0,0 +1,237 @@
+const { ethers } = require("ethers");
+const { readSnapshot } = require("./multicall");
+
+// Watches who is authorized on Morpho to manage the watched wallets. An
+// authorized address can borrow, withdraw collateral and withdraw supply on
+// a wallet's behalf in every market, so one we don't expect is a faster way
+// to lose a position than a price move.
+//
+// SetAuthorization events (emitted by setAuthorization and
+// setAuthorizationWithSig) are polled per wallet with eth_getLogs, from
+// `getStartBlock()` the first time a wallet is seen so authorizations made
+// before the monitor started are found too. isAuthorized() is then read for
+// every address a wallet ever authorized and every expected operator: right
+// away for the pairs a new event touched, and every `checkInterval` for all
+// of them. The reads decide; an authorization revoked since is not reported.
+//
+// Scan progress, the authorizations seen and the pairs touched by events but
+// not read yet are saved under `stateKey` (one per chain), so pairs found
+// before a failed scan chunk or a restart are still read.
+class AuthorizationWatcher {
+  constructor({
+    provider,
+    morpho,
+    chain,
+    operators = [],
+    pollInterval,
+    checkInterval,
+    blockRange,
+    getStartBlock,
+    state,
+    stateKey = "authorizations",
+  }) {
+    this.provider = provider;
+    this.morphoContract = morpho;
+    this.chain = chain;
+    this.operators = new Set(operators.map((address) => address.toLowerCase()));
+    this.pollInterval = pollInterval || 60000;
+    this.checkInterval = checkInterval || 3600000;
+    this.blockRange = blockRange || 10000;
+    this.getStartBlock = getStartBlock || (() => 0);
+    this.state = state;
+    this.stateKey = stateKey;
+    this.polling = false;
+    this.timer = null;
+    this.lastCheck = 0;
+    this.topic =
+      this.morphoContract.interface.getEvent("SetAuthorization").topicHash;
+
+    // { lastBlocks: { wallet: block }, seen: { wallet: { authorized:
+    // { isAuthorized, flagged, caller, blockNumber, transactionHash } } },
+    // pending: [[wallet, authorized]] }, all addresses lowercase
+    const saved = this.state && this.state.get(this.stateKey);
+    this.lastBlocks = (saved && saved.lastBlocks) || {};
+    this.seen = (saved && saved.seen) || {};
+    this.pending = (saved && saved.pending) || [];
+  }
+
+  isExpected(address) {
+    return this.operators.has(address.toLowerCase());
+  }
+
+  // Calls `onFinding(finding)` for every unexpected authorization of the
+  // wallets returned by `getWallets()`, and when one of them is revoked
+  // (finding.revoked). A finding is { wallet, authorized, revoked, event },
+  // `event` being the last SetAuthorization seen for the pair, if any.
+  async start(getWallets, onFinding) {
+    const tick = async () => {
+      // Skip a tick rather than overlap a slow poll or the first backfill
+      if (this.polling) return;
+      this.polling = true;
+      try {
+        const wallets = getWallets();
+        // The pairs touched before a failed chunk are read all the same
+        let pollError = null;
+        try {
+          await this.poll(wallets);
+        } catch (error) {
+          pollError = error;
+        }
+        const full = Date.now() - this.lastCheck >= this.checkInterval;
+        if (full || this.pending.length > 0) {
+          await this.verify(
+            full ? this.pairs(wallets) : this.pending,
+            onFinding
+          );
+          this.pending = [];
+          this.save();
+          if (full) this.lastCheck = Date.now();
+        }
+        if (pollError) throw pollError;
+      } catch (error) {
+        console.error(
+          `Error checking ${this.chain.name} Morpho authorizations:`,
+          error
+        );
+      } finally {
+        this.polling = false;
+      }
+    };
+
+    this.timer = setInterval(tick, this.pollInterval);
+    // Not awaited, a wallet's first scan can take a while
+    tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Scans each wallet's SetAuthorization events since its last scanned
+  // block. The [wallet, authorized] pairs that changed are added to
+  // `pending`, saved with the chunk that found them.
+  async poll(wallets) {
+    const latestBlock = await this.provider.getBlockNumber();
+    const address = await this.morphoContract.getAddress();
+
+    for (const wallet of wallets) {
+      const key = wallet.toLowerCase();
+      const startBlock =
+        this.lastBlocks[key] !== undefined
+          ? this.lastBlocks[key] + 1
+          : await this.getStartBlock();
+
+      for (
+        let from = startBlock;
+        from <= latestBlock;
+        from += this.blockRange
+      ) {
+        const to = Math.min(from + this.blockRange - 1, latestBlock);
+        const logs = await this.provider.getLogs({
+          address,
+          topics: [this.topic, null, ethers.zeroPadValue(wallet, 32)],
+          fromBlock: from,
+          toBlock: to,
+        });
+
+        for (const log of logs) {
+          const event = this.morphoContract.interface.parseLog(log);
+          if (!event) continue;
+
+          const authorized = event.args.authorized.toLowerCase();
+          const seen = this.seen[key] || (this.seen[key] = {});
+          seen[authorized] = {
+            ...seen[authorized],
+            isAuthorized: event.args.newIsAuthorized,
+            caller: event.args.caller,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash,
+          };
+          console.log(
+            `${this.chain.name}: ${wallet} ${
+              event.args.newIsAuthorized ? "authorized" : "revoked"
+            } ${event.args.authorized} on Morpho in block ${log.blockNumber}`
+          );
+          if (
+            !this.pending.some(
+              ([pendingWallet, pendingAuthorized]) =>
+                pendingWallet === key && pendingAuthorized === authorized
+            )
+          ) {
+            this.pending.push([key, authorized]);
+          }
+        }
+
+        this.lastBlocks[key] = to;
+        this.save();
+      }
+    }
+  }
+
+  // Every [wallet, authorized] pair worth reading: expected operators and
+  // any address the wallet ever authorized
+  pairs(wallets) {
+    return wallets.flatMap((wallet) => {
+      const key = wallet.toLowerCase();
+      const addresses = new Set([
+        ...this.operators,
+        ...Object.keys(this.seen[key] || {}),
+      ]);
+      return [...addresses].map((authorized) => [key, authorized]);
+    });
+  }
+
+  // Reads isAuthorized() for `pairs` at one block and reports unexpected
+  // authorizations, and revocations of ones reported before
+  async verify(pairs, onFinding) {
+    if (pairs.length === 0) return;
+
+    const { results } = await readSnapshot(
+      this.provider,
+      pairs.map(([wallet, authorized]) => ({
+        contract: this.morphoContract,
+        method: "isAuthorized",
+        args: [wallet, authorized],
+      })),
+      { address: this.chain.multicall }
+    );
+
+    for (const [index, [wallet, authorized]] of pairs.entries()) {
+      const result = results[index];
+      if (result.error) {
+        throw new Error(`isAuthorized read failed: ${result.error}`);
+      }
+
+      const seen = this.seen[wallet] || (this.seen[wallet] = {});
+      const record = seen[authorized] || (seen[authorized] = {});
+      record.isAuthorized = result.value;
+      const finding = {
+        wallet: ethers.getAddress(wallet),
+        authorized: ethers.getAddress(authorized),
+        event: record.transactionHash ? record : null,
+      };
+
+      if (result.value && !this.isExpected(authorized)) {
+        record.flagged = true;
+        await onFinding({ ...finding, revoked: false });
+      } else if (!result.value && record.flagged) {
+        record.flagged = false;
+        await onFinding({ ...finding, revoked: true });
+      }
+    }
+    this.save();
+  }
+
+  save() {
+    if (this.state) {
+      this.state.set(this.stateKey, {
+        lastBlocks: this.lastBlocks,
+        seen: this.seen,
+        pending: this.pending,
+      });
+    }
+  }
+}
+
+module.exports = AuthorizationWatcher;
@@ -0,0 +1,432 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const MarketDiscovery = require("./discovery");
+const { ORACLE_PRICE_SCALE } = require("./oracle");
+const { POSITION_EVENTS } = require("./subscriptions");
+const { loadChains } = require("./chains");
+const { RpcPool } = require("./rpc");
+const { readSnapshot } = require("./multicall");
+const { checkHealth } = require("./health");
+const {
+  mulDivDown,
+  wMulDown,
+  expectedMarketBalances,
+  liquidationIncentiveFactor,
+} = require("./morphoMath");
+
+// Import contract ABIs
+const MORPHO_ABI = require("../contract_abi/morpho_abi.json");
+const ORACLE_ABI = ["function price() view returns (uint256)"];
+const TOKENS_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+const IRM_ABI = [
+  "function borrowRateView((address loanToken, address collateralToken, address oracle, address irm, uint256 lltv) marketParams, (uint128 totalSupplyAssets, uint128 totalSupplyShares, uint128 totalBorrowAssets, uint128 totalBorrowShares, uint128 lastUpdate, uint128 fee) market) view returns (uint256)",
+];
+
+// Borrower positions read per Multicall3 call
+const POSITIONS_PER_CALL = 200;
+
+// Collateral price drops (percent) reported by default
+const DEFAULT_DROPS = [5, 10, 15, 20, 25, 30, 40, 50];
+
+// Health of every borrower in one market, and how much of the market turns
+// liquidatable as the collateral price falls. Borrowers are rebuilt from
+// Morpho position events (or given), then read in one snapshot: every
+// position, the market and the oracle price at the same block.
+class MarketHealthMap {
+  constructor({ provider, morpho, chain, fromBlock, blockRange }) {
+    this.provider = provider;
+    this.morphoContract = morpho;
+    this.chain = chain;
+    this.blockRange = blockRange || 10000;
+    // Start block and market names come from the discovery scanner
+    this.discovery = new MarketDiscovery({
+      provider,
+      morpho,
+      fromBlock,
+      blockRange: this.blockRange,
+    });
+    this.topics = Object.keys(POSITION_EVENTS).map(
+      (name) => this.morphoContract.interface.getEvent(name).topicHash
+    );
+  }
+
+  // Every account that borrowed, repaid, moved collateral or was liquidated
+  // in `marketId`. Accounts that have since closed their position are
+  // dropped by snapshot().
+  async collectBorrowers(marketId) {
+    const latestBlock = await this.provider.getBlockNumber();
+    const startBlock = await this.discovery.getStartBlock();
+    const address = await this.morphoContract.getAddress();
+    const borrowers = new Set();
+
+    for (let from = startBlock; from <= latestBlock; from += this.blockRange) {
+      const to = Math.min(from + this.blockRange - 1, latestBlock);
+      const logs = await this.provider.getLogs({
+        address,
+        topics: [this.topics, marketId],
+        fromBlock: from,
+        toBlock: to,
+      });
+
+      for (const log of logs) {
+        const event = this.morphoContract.interface.parseLog(log);
+        if (event) {
+          borrowers.add(
+            ethers.getAddress(event.args[POSITION_EVENTS[event.name]])
+          );
+        }
+      }
+    }
+
+    return [...borrowers];
+  }
+
+  // Positions of `borrowers` in `marketId` with their health, all at one
+  // block. Only borrowers with debt are kept.
+  async snapshot(marketId, borrowers) {
+    const marketParams = await this.morphoContract.idToMarketParams(marketId);
+    const oracle = new ethers.Contract(
+      marketParams.oracle,
+      ORACLE_ABI,
+      this.provider
+    );
+    const positionCall = (borrower) => ({
+      contract: this.morphoContract,
+      method: "position",
+      args: [marketId, borrower],
+    });
+
+    // The market and oracle price ride along with the first batch of
+    // positions, the other batches are pinned to its block
+    const [first, ...rest] = chunk(borrowers, POSITIONS_PER_CALL);
+    const head = await readSnapshot(
+      this.provider,
+      [
+        { contract: this.morphoContract, method: "market", args: [marketId] },
+        { contract: oracle, method: "price" },
+        ...(first || []).map(positionCall),
+      ],
+      { address: this.chain.multicall }
+    );
+    const [marketResult, priceResult, ...positionResults] = head.results;
+    if (marketResult.error) {
+      throw new Error(`Morpho read failed: ${marketResult.error}`);
+    }
+    if (priceResult.error) {
+      throw new Error(`oracle.price() reverted: ${priceResult.error}`);
+    }
+    for (const batch of rest) {
+      const { results } = await readSnapshot(
+        this.provider,
+        batch.map(positionCall),
+        { blockTag: head.blockNumber, address: this.chain.multicall }
+      );
+      positionResults.push(...results);
+    }
+
+    // Interest accrued since the market's last update, as in position.js
+    const market = marketResult.value;
+    const borrowRate =
+      marketParams.irm === ethers.ZeroAddress
+        ? 0n
+        : await new ethers.Contract(
+            marketParams.irm,
+            IRM_ABI,
+            this.provider
+          ).borrowRateView(marketParams.toArray(), market.toArray(), {
+            blockTag: head.blockNumber,
+          });
+    const expectedMarket = expectedMarketBalances(
+      market,
+      borrowRate,
+      head.timestamp
+    );
+
+    const price = priceResult.value;
+    const positions = [];
+    positionResults.forEach((result, index) => {
+      if (result.error) {
+        throw new Error(
+          `Position read failed for ${borrowers[index]}: ${result.error}`
+        );
+      }
+      const { collateral, borrowShares } = result.value;
+      if (borrowShares === 0n) return;
+
+      const raw = {
+        collateral,
+        price,
+        borrowShares,
+        totalBorrowAssets: expectedMarket.totalBorrowAssets,
+        totalBorrowShares: expectedMarket.totalBorrowShares,
+        lltv: marketParams.lltv,
+      };
+      positions.push({
+        borrower: borrowers[index],
+        raw,
+        health: checkHealth(raw),
+      });
+    });
+
+    return {
+      marketId,
+      blockNumber: head.blockNumber,
+      timestamp: head.timestamp,
+      marketParams,
+      market: expectedMarket,
+      price,
+      positions,
+    };
+  }
+
+  // For each price drop (percent), the borrowers liquidatable at that price:
+  // their count, collateral and debt, and the collateral liquidators can
+  // seize by repaying all of it. Drop 0 is the current price, so already
+  // unhealthy positions show up there. Totals are cumulative; `added` counts
+  // the borrowers that first become liquidatable in the bucket.
+  static cascade({ price, marketParams, positions }, drops = DEFAULT_DROPS) {
+    const incentive = liquidationIncentiveFactor(marketParams.lltv);
+    let previous = new Set();
+
+    return [0, ...drops].map((drop) => {
+      const bucketPrice = mulDivDown(
+        price,
+        BigInt(Math.round((100 - drop) * 100)),
+        10000n
+      );
+      const bucket = {
+        drop,
+        price: bucketPrice,
+        borrowers: 0,
+        added: 0,
+        collateral: 0n,
+        debt: 0n,
+        seizable: 0n,
+      };
+      const liquidatable = new Set();
+
+      for (const { borrower, raw, health } of positions) {
+        // Debt against no collateral has no liquidation price and is always
+        // liquidatable
+        if (
+          health.liquidationPrice !== null &&
+          bucketPrice >= health.liquidationPrice
+        ) {
+          continue;
+        }
+        liquidatable.add(borrower);
+        bucket.borrowers++;
+        if (!previous.has(borrower)) bucket.added++;
+        bucket.collateral += raw.collateral;
+        bucket.debt += health.borrowed;
+
+        // Morpho's seizedAssets for repaying the whole debt, capped at the
+        // collateral there is
+        const seized =
+          bucketPrice === 0n
+            ? raw.collateral
+            : mulDivDown(
+                wMulDown(health.borrowed, incentive),
+                ORACLE_PRICE_SCALE,
+                bucketPrice
+              );
+        bucket.seizable += seized < raw.collateral ? seized : raw.collateral;
+      }
+
+      previous = liquidatable;
+      return bucket;
+    });
+  }
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+module.exports = MarketHealthMap;
+
+// Borrower health map and liquidation cascade of MARKET_ID: `npm run cascade`
+if (require.main === module) {
+  (async () => {
+    const marketId = process.env.MARKET_ID || "";
+    if (!ethers.isHexString(marketId, 32)) {
+      console.error("Set MARKET_ID to the market to map");
+      process.exit(1);
+    }
+    const wallet = process.env.WALLET_ADDRESS || "";
+    const own = ethers.isAddress(wallet) ? ethers.getAddress(wallet) : null;
+    const drops = process.env.CASCADE_DROPS
+      ? process.env.CASCADE_DROPS.split(",")
+          .map((drop) => parseFloat(drop))
+          .sort((a, b) => a - b)
+      : DEFAULT_DROPS;
+    if (drops.some((drop) => !(drop > 0 && drop <= 100))) {
+      console.error("CASCADE_DROPS must be percentages between 0 and 100");
+      process.exit(1);
+    }
+
+    // CHAIN_ID's registry entry, see chains.js
+    const chainId = parseInt(process.env.CHAIN_ID || "8453");
+    const chain = loadChains(JSON.parse(process.env.CHAINS || "{}")).get(
+      chainId
+    );
+    if (!chain) {
+      console.error(`Unknown CHAIN_ID ${chainId}, add it to CHAINS`);
+      process.exit(1);
+    }
+
+    // Long event scans go through the same failover pool as the monitor
+    const rpcUrls = (process.env.RPC_URLS || process.env.RPC_URL || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean);
+    const provider = new RpcPool(rpcUrls.length > 0 ? rpcUrls : chain.rpcUrls, {
+      chainId,
+      timeout: parseInt(process.env.RPC_TIMEOUT || "10") * 1000,
+    });
+    const morpho = new ethers.Contract(
+      process.env.MORPHO_ADDRESS || chain.morpho,
+      MORPHO_ABI,
+      provider
+    );
+    if (process.env.MULTICALL_ADDRESS) {
+      chain.multicall = process.env.MULTICALL_ADDRESS;
+    }
+    const map = new MarketHealthMap({
+      provider,
+      morpho,
+      chain,
+      fromBlock: process.env.DISCOVERY_FROM_BLOCK
+        ? parseInt(process.env.DISCOVERY_FROM_BLOCK)
+        : undefined,
+      blockRange: parseInt(process.env.DISCOVERY_BLOCK_RANGE || "10000"),
+    });
+
+    let borrowers;
+    if (process.env.CASCADE_BORROWERS) {
+      borrowers = process.env.CASCADE_BORROWERS.split(",").map((borrower) =>
+        ethers.getAddress(borrower.trim())
+      );
+      console.log(`Using ${borrowers.length} configured borrower(s)`);
+    } else {
+      console.log(`Scanning Morpho events in ${marketId} on ${chain.name}...`);
+      borrowers = await map.collectBorrowers(marketId);
+      console.log(`Found ${borrowers.length} account(s)`);
+    }
+    if (own && !borrowers.includes(own)) {
+      borrowers.push(own);
+    }
+
+    const snapshot = await map.snapshot(marketId, borrowers);
+    const buckets = MarketHealthMap.cascade(snapshot, drops);
+
+    const tokenOf = async (address) => {
+      const token = new ethers.Contract(address, TOKENS_ABI, provider);
+      const [decimals, symbol] = await Promise.all([
+        token.decimals(),
+        token.symbol(),
+      ]);
+      return { decimals: Number(decimals), symbol };
+    };
+    const [name, loan, collateral] = await Promise.all([
+      map.discovery.describeMarket(marketId),
+      tokenOf(snapshot.marketParams.loanToken),
+      tokenOf(snapshot.marketParams.collateralToken),
+    ]);
+    const format = (amount, token) =>
+      `${parseFloat(ethers.formatUnits(amount, token.decimals)).toFixed(4)} ${
+        token.symbol
+      }`;
+    const formatPrice = (price) =>
+      `${parseFloat(
+        ethers.formatUnits(
+          price * 10n ** BigInt(collateral.decimals),
+          36 + loan.decimals
+        )
+      ).toFixed(4)} ${loan.symbol}/${collateral.symbol}`;
+    const share = (part, total) =>
+      total === 0n
+        ? "0.00"
+        : (Number((part * 10000n) / total) / 100).toFixed(2);
+
+    const totalCollateral = snapshot.positions.reduce(
+      (sum, position) => sum + position.raw.collateral,
+      0n
+    );
+    console.log(`\n${name} on ${chain.name} at block ${snapshot.blockNumber}`);
+    console.log(`- Oracle price: ${formatPrice(snapshot.price)}`);
+    console.log(`- Borrowers with debt: ${snapshot.positions.length}`);
+    console.log(`- Their collateral: ${format(totalCollateral, collateral)}`);
+    console.log(
+      `- Market borrowed: ${format(snapshot.market.totalBorrowAssets, loan)}`
+    );
+
+    // How far the price can fall before our own position is liquidatable
+    const ownPosition = own
+      ? snapshot.positions.find((position) => position.borrower === own)
+      : null;
+    let ownDrop = null;
+    if (ownPosition && ownPosition.health.liquidationPrice === null) {
+      ownDrop = 0;
+      console.log("- Our position has debt but no collateral");
+    } else if (ownPosition) {
+      ownDrop = parseFloat(
+        ethers.formatEther(ownPosition.health.buffer * 100n)
+      );
+      console.log(
+        `- Our position is liquidatable after a ${ownDrop.toFixed(
+          2
+        )}% drop, at ${formatPrice(ownPosition.health.liquidationPrice)}`
+      );
+    } else if (own) {
+      console.log(`- ${own} has no debt in this market`);
+    }
+
+    console.log("\nLiquidatable as the collateral price falls:");
+    for (const bucket of buckets) {
+      const label = bucket.drop === 0 ? "now" : `-${bucket.drop}%`;
+      const marker =
+        ownDrop !== null && bucket.drop > 0 && bucket.drop < ownDrop
+          ? " (before ours)"
+          : "";
+      console.log(
+        `- ${label} at ${formatPrice(bucket.price)}: ${
+          bucket.borrowers
+        } borrower(s) (+${bucket.added}), ${format(
+          bucket.collateral,
+          collateral
+        )} collateral (${share(bucket.collateral, totalCollateral)}%), ${format(
+          bucket.debt,
+          loan
+        )} debt, ${format(bucket.seizable, collateral)} seizable${marker}`
+      );
+    }
+
+    if (ownDrop !== null) {
+      const before = buckets.filter(
+        (bucket) => bucket.drop > 0 && bucket.drop < ownDrop
+      );
+      const last = before[before.length - 1];
+      console.log(
+        last && last.seizable > 0n
+          ? `\n${format(
+              last.seizable,
+              collateral
+            )} of collateral can be seized and sold in drops up to ${
+              last.drop
+            }%, before our liquidation price`
+          : "\nNo other borrower becomes liquidatable before our liquidation price"
+      );
+    }
+  })().catch((error) => {
+    console.error("Error mapping market health:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,94 @@
+const { MULTICALL3_ADDRESS } = require("./multicall");
+
+// Morpho Blue is deployed at the same address on Ethereum and Base
+const MORPHO_BLUE_ADDRESS = "0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb";
+
+// Chains the monitor knows out of the box. `explorer` links addresses and
+// transactions ({type} is "address" or "tx"), `marketUrl` links a market in
+// the Morpho app. Every field can be overridden per chain with CHAINS, and
+// other chains added the same way.
+const CHAINS = {
+  1: {
+    name: "Ethereum",
+    aliases: ["ethereum", "mainnet", "eth"],
+    morpho: MORPHO_BLUE_ADDRESS,
+    rpcUrls: ["https://eth.llamarpc.com"],
+    wsUrl: "",
+    multicall: MULTICALL3_ADDRESS,
+    explorer: "https://etherscan.io/{type}/{value}",
+    marketUrl: "https://app.morpho.org/ethereum/market/{id}",
+  },
+  8453: {
+    name: "Base",
+    aliases: ["base"],
+    morpho: MORPHO_BLUE_ADDRESS,
+    rpcUrls: ["https://mainnet.base.org"],
+    wsUrl: "",
+    multicall: MULTICALL3_ADDRESS,
+    explorer: "https://basescan.org/{type}/{value}",
+    marketUrl: "https://app.morpho.org/base/market/{id}",
+  },
+};
+
+// The known chains merged with `overrides` ({ "<chain id>": { ...fields } }),
+// as a Map of chain id => chain
+function loadChains(overrides = {}) {
+  const chains = new Map();
+  const ids = new Set([...Object.keys(CHAINS), ...Object.keys(overrides)]);
+
+  for (const key of ids) {
+    const id = parseInt(key);
+    const chain = { id, aliases: [], ...CHAINS[key], ...overrides[key] };
+    if (!chain.name) chain.name = `Chain ${id}`;
+    if (typeof chain.rpcUrls === "string") {
+      chain.rpcUrls = chain.rpcUrls.split(",").map((url) => url.trim());
+    }
+    chain.rpcUrls = (chain.rpcUrls || []).filter(Boolean);
+    chain.multicall = chain.multicall || MULTICALL3_ADDRESS;
+
+    if (!chain.morpho || chain.rpcUrls.length === 0) {
+      throw new Error(
+        `Chain ${id} needs a morpho address and at least one RPC URL`
+      );
+    }
+    chains.set(id, chain);
+  }
+
+  return chains;
+}
+
+// Chain id from a position's `chain` entry: an id, or a name such as
+// "base" or "mainnet"
+function resolveChainId(value, chains) {
+  if (/^\d+$/.test(String(value))) {
+    const id = parseInt(value);
+    if (chains.has(id)) return id;
+  } else {
+    const name = String(value).toLowerCase();
+    for (const chain of chains.values()) {
+      if (chain.name.toLowerCase() === name || chain.aliases.includes(name)) {
+        return chain.id;
+      }
+    }
+  }
+  throw new Error(`Unknown chain ${value}, add it to CHAINS`);
+}
+
+// Explorer page of an address or transaction, null without a template
+function explorerLink(chain, type, value) {
+  if (!chain.explorer) return null;
+  return chain.explorer.replace("{type}", type).replace("{value}", value);
+}
+
+function marketLink(chain, marketId) {
+  if (!chain.marketUrl) return null;
+  return chain.marketUrl.replace("{id}", marketId);
+}
+
+module.exports = {
+  CHAINS,
+  loadChains,
+  resolveChainId,
+  explorerLink,
+  marketLink,
+};
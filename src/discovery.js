@@ -0,0 +1,231 @@
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { loadChains } = require("./chains");
+
+// Import contract ABIs
+const MORPHO_ABI = require("../contract_abi/morpho_abi.json");
+const TOKENS_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+// Events that open a position for `onBehalf`. onBehalf is the third indexed
+// topic of Supply/SupplyCollateral but the second one of Borrow.
+const POSITION_EVENTS = {
+  supply: ["SupplyCollateral", "Supply"],
+  borrow: ["Borrow"],
+};
+
+// Morpho Blue deployment blocks, used as the default scan start
+const MORPHO_DEPLOYMENT_BLOCKS = {
+  1: 18883124, // Ethereum
+  8453: 13977148, // Base
+};
+
+// Scans Morpho events for the markets a wallet has entered. The last
+// scanned block is kept per wallet so later calls only look at new blocks.
+// With a StateStore, the scanned block and the markets found are saved under
+// `stateKey` (one per chain) after every chunk, so a restart or a failed
+// chunk picks up where the scan stopped without losing what it found.
+class MarketDiscovery {
+  constructor({ provider, morpho, fromBlock, blockRange, state, stateKey }) {
+    this.provider = provider;
+    this.morphoContract = morpho;
+    this.fromBlock = fromBlock;
+    this.blockRange = blockRange || 10000;
+    this.state = state;
+    this.stateKey = stateKey || "discovery";
+    this.marketNames = new Map();
+    // Wallets whose saved markets were already returned by this process
+    this.reported = new Set();
+
+    // { lastBlocks: { wallet: block }, markets: { wallet: [marketId] } },
+    // wallets lowercase
+    const saved = this.state && this.state.get(this.stateKey);
+    this.lastBlocks = (saved && saved.lastBlocks) || {};
+    this.markets = (saved && saved.markets) || {};
+
+    const topicsOf = (names) =>
+      names.map(
+        (name) => this.morphoContract.interface.getEvent(name).topicHash
+      );
+    this.supplyTopics = topicsOf(POSITION_EVENTS.supply);
+    this.borrowTopics = topicsOf(POSITION_EVENTS.borrow);
+  }
+
+  async getStartBlock() {
+    if (this.fromBlock === undefined) {
+      const { chainId } = await this.provider.getNetwork();
+      this.fromBlock = MORPHO_DEPLOYMENT_BLOCKS[Number(chainId)] || 0;
+    }
+    return this.fromBlock;
+  }
+
+  // Returns the ids of markets where `wallet` shows up as onBehalf in any of
+  // the position events since the previous scan. The first scan of a
+  // process also returns the markets saved by earlier ones.
+  async scan(wallet) {
+    const key = wallet.toLowerCase();
+    const latestBlock = await this.provider.getBlockNumber();
+    const startBlock =
+      this.lastBlocks[key] !== undefined
+        ? this.lastBlocks[key] + 1
+        : await this.getStartBlock();
+
+    const address = await this.morphoContract.getAddress();
+    const walletTopic = ethers.zeroPadValue(wallet, 32);
+    const known = new Set(this.markets[key] || []);
+    const marketIds = new Set(this.reported.has(key) ? [] : known);
+
+    for (let from = startBlock; from <= latestBlock; from += this.blockRange) {
+      const to = Math.min(from + this.blockRange - 1, latestBlock);
+      const [supplyLogs, borrowLogs] = await Promise.all([
+        this.provider.getLogs({
+          address,
+          topics: [this.supplyTopics, null, null, walletTopic],
+          fromBlock: from,
+          toBlock: to,
+        }),
+        this.provider.getLogs({
+          address,
+          topics: [this.borrowTopics, null, walletTopic],
+          fromBlock: from,
+          toBlock: to,
+        }),
+      ]);
+
+      for (const log of [...supplyLogs, ...borrowLogs]) {
+        const event = this.morphoContract.interface.parseLog(log);
+        if (event) {
+          marketIds.add(event.args.id);
+          known.add(event.args.id);
+        }
+      }
+
+      // Found markets are saved along with the block they were found by
+      this.markets[key] = [...known];
+      this.lastBlocks[key] = to;
+      this.save();
+    }
+
+    this.reported.add(key);
+    return [...marketIds];
+  }
+
+  save() {
+    if (this.state) {
+      this.state.set(this.stateKey, {
+        lastBlocks: this.lastBlocks,
+        markets: this.markets,
+      });
+    }
+  }
+
+  // Readable market name from its params and token symbols
+  async describeMarket(marketId) {
+    if (this.marketNames.has(marketId)) {
+      return this.marketNames.get(marketId);
+    }
+
+    const marketParams = await this.morphoContract.idToMarketParams(marketId);
+    const symbolOf = async (address) => {
+      if (address === ethers.ZeroAddress) return "none";
+      try {
+        return await new ethers.Contract(
+          address,
+          TOKENS_ABI,
+          this.provider
+        ).symbol();
+      } catch (error) {
+        return address;
+      }
+    };
+
+    const [collateralSymbol, loanSymbol] = await Promise.all([
+      symbolOf(marketParams.collateralToken),
+      symbolOf(marketParams.loanToken),
+    ]);
+    const lltv = (
+      parseFloat(ethers.formatEther(marketParams.lltv)) * 100
+    ).toFixed(1);
+    const name = `${collateralSymbol}/${loanSymbol} (LLTV ${lltv}%)`;
+
+    this.marketNames.set(marketId, name);
+    return name;
+  }
+
+  // Current position of `wallet` in `marketId`, flagged when anything is left
+  async getPosition(marketId, wallet) {
+    const position = await this.morphoContract.position(marketId, wallet);
+    return {
+      supplyShares: position.supplyShares,
+      borrowShares: position.borrowShares,
+      collateral: position.collateral,
+      isOpen:
+        position.supplyShares > 0n ||
+        position.borrowShares > 0n ||
+        position.collateral > 0n,
+    };
+  }
+}
+
+module.exports = MarketDiscovery;
+
+// List every market a wallet has entered: `npm run discover`
+if (require.main === module) {
+  (async () => {
+    const wallet = process.env.WALLET_ADDRESS || "";
+    if (!ethers.isAddress(wallet)) {
+      console.error("Set WALLET_ADDRESS to the wallet to scan");
+      process.exit(1);
+    }
+
+    // CHAIN_ID's registry entry, see chains.js
+    const chainId = parseInt(process.env.CHAIN_ID || "8453");
+    const chain = loadChains(JSON.parse(process.env.CHAINS || "{}")).get(
+      chainId
+    );
+    if (!chain) {
+      console.error(`Unknown CHAIN_ID ${chainId}, add it to CHAINS`);
+      process.exit(1);
+    }
+
+    const provider = new ethers.JsonRpcProvider(
+      process.env.RPC_URL || chain.rpcUrls[0],
+      chainId
+    );
+    const morpho = new ethers.Contract(
+      process.env.MORPHO_ADDRESS || chain.morpho,
+      MORPHO_ABI,
+      provider
+    );
+    const discovery = new MarketDiscovery({
+      provider,
+      morpho,
+      fromBlock: process.env.DISCOVERY_FROM_BLOCK
+        ? parseInt(process.env.DISCOVERY_FROM_BLOCK)
+        : undefined,
+      blockRange: parseInt(process.env.DISCOVERY_BLOCK_RANGE || "10000"),
+    });
+
+    console.log(`Scanning Morpho events for ${wallet} on ${chain.name}...`);
+    const marketIds = await discovery.scan(wallet);
+    console.log(`Found ${marketIds.length} market(s):`);
+
+    for (const marketId of marketIds) {
+      const [name, position] = await Promise.all([
+        discovery.describeMarket(marketId),
+        discovery.getPosition(marketId, wallet),
+      ]);
+      console.log(`\n${name}`);
+      console.log(`- Market ID: ${marketId}`);
+      console.log(`- Supply shares: ${position.supplyShares}`);
+      console.log(`- Borrow shares: ${position.borrowShares}`);
+      console.log(`- Collateral: ${position.collateral}`);
+      console.log(`- Status: ${position.isOpen ? "open" : "closed"}`);
+    }
+  })().catch((error) => {
+    console.error("Error discovering markets:", error);
+    process.exit(1);
+  });
+}
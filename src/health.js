@@ -0,0 +1,71 @@
+const {
+  WAD,
+  mulDivDown,
+  mulDivUp,
+  wMulDown,
+  toAssetsUp,
+} = require("./morphoMath");
+const { ORACLE_PRICE_SCALE } = require("./oracle");
+
+// Fixed-point health check, reproducing Morpho's _isHealthy:
+//
+//   borrowed = toAssetsUp(borrowShares, totalBorrowAssets, totalBorrowShares)
+//   maxBorrow = wMulDown(mulDivDown(collateral, price, ORACLE_PRICE_SCALE), lltv)
+//   healthy = maxBorrow >= borrowed
+//
+// `position` holds the raw bigints from MorphoPosition (collateral, price,
+// borrowShares, totalBorrowAssets, totalBorrowShares, lltv). Everything is
+// returned as bigints; LTV and buffer are WAD-scaled, the liquidation price
+// is in oracle units (1e36-scaled, like price).
+function checkHealth(position) {
+  const { collateral, price, borrowShares, lltv } = position;
+  const borrowed = toAssetsUp(
+    borrowShares,
+    position.totalBorrowAssets,
+    position.totalBorrowShares
+  );
+  const collateralValue = mulDivDown(collateral, price, ORACLE_PRICE_SCALE);
+  const maxBorrow = wMulDown(collateralValue, lltv);
+
+  // Lowest oracle price at which the position is still healthy:
+  // maxBorrow >= borrowed  <=>  collateralValue >= ceil(borrowed * WAD / lltv)
+  //                        <=>  price >= ceil(that * ORACLE_PRICE_SCALE / collateral)
+  let liquidationPrice = null;
+  if (borrowed === 0n) {
+    liquidationPrice = 0n;
+  } else if (collateral !== 0n && lltv !== 0n) {
+    liquidationPrice = mulDivUp(
+      mulDivUp(borrowed, WAD, lltv),
+      ORACLE_PRICE_SCALE,
+      collateral
+    );
+  }
+
+  // Share of the current price that can be lost before liquidation
+  let buffer = 0n;
+  if (liquidationPrice !== null && price > liquidationPrice) {
+    buffer = mulDivDown(price - liquidationPrice, WAD, price);
+  }
+
+  // Debt against worthless collateral has no finite LTV
+  let ltv = 0n;
+  if (collateralValue !== 0n) {
+    ltv = mulDivUp(borrowed, WAD, collateralValue);
+  } else if (borrowed !== 0n) {
+    ltv = null;
+  }
+
+  return {
+    borrowed,
+    collateralValue,
+    maxBorrow,
+    healthy: maxBorrow >= borrowed,
+    ltv,
+    liquidationPrice,
+    buffer,
+  };
+}
+
+module.exports = {
+  checkHealth,
+};
@@ -0,0 +1,247 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+// Columns of every recorded sample, in CSV order
+const FIELDS = [
+  "time",
+  "block",
+  "chainId",
+  "key",
+  "label",
+  "wallet",
+  "marketId",
+  "collateral",
+  "collateralValue",
+  "debt",
+  "price",
+  "liquidationPrice",
+  "ltv",
+  "lltv",
+  "threshold",
+  "buffer",
+  "healthy",
+];
+
+// Time series of position checks, one JSON object per line. Appending keeps
+// writes cheap and the file readable even if the process dies mid-write.
+// Reads stream the file line by line, keeping only the samples asked for;
+// prune() drops old samples so the file doesn't grow forever.
+class PositionHistory {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+  }
+
+  record(sample) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, `${JSON.stringify(sample)}\n`);
+  }
+
+  // Calls `onLine(line, sample)` for every line of the first `end` bytes
+  // (the whole file by default); `sample` is null for a line cut short by a
+  // crash
+  async scan(onLine, { end } = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(
+        this.filePath,
+        end !== undefined ? { end: end - 1 } : {}
+      ),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let sample;
+      try {
+        sample = JSON.parse(line);
+      } catch (error) {
+        sample = null;
+      }
+      onLine(line, sample);
+    }
+  }
+
+  // Samples between `from` and `to` (Dates or ISO strings), optionally for
+  // some position keys (one or an array), oldest first
+  async read({ from, to, key } = {}) {
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+    const keys = key
+      ? new Set([].concat(key).map((one) => one.toLowerCase()))
+      : null;
+
+    const samples = [];
+    await this.scan((line, sample) => {
+      if (!sample) return;
+      const time = new Date(sample.time).getTime();
+      if (
+        time >= fromTime &&
+        time <= toTime &&
+        (!keys || keys.has(sample.key))
+      ) {
+        samples.push(sample);
+      }
+    });
+    return samples;
+  }
+
+  // Rewrites the file without the samples older than `before`. Lines
+  // appended while the file is read are copied over before the swap, which
+  // happens synchronously so no record() lands in between. Returns the
+  // number of samples dropped.
+  async prune(before) {
+    if (!fs.existsSync(this.filePath)) {
+      return 0;
+    }
+
+    const cutoff = new Date(before).getTime();
+    const tmpPath = `${this.filePath}.tmp`;
+    const { size } = fs.statSync(this.filePath);
+    const kept = [];
+    let dropped = 0;
+    await this.scan(
+      (line, sample) => {
+        if (sample && new Date(sample.time).getTime() < cutoff) {
+          dropped++;
+        } else {
+          kept.push(line);
+        }
+      },
+      { end: size }
+    );
+    if (dropped === 0) {
+      return 0;
+    }
+
+    fs.writeFileSync(tmpPath, kept.length > 0 ? `${kept.join("\n")}\n` : "");
+    const { size: newSize } = fs.statSync(this.filePath);
+    if (newSize > size) {
+      const tail = Buffer.alloc(newSize - size);
+      const fd = fs.openSync(this.filePath, "r");
+      fs.readSync(fd, tail, 0, tail.length, size);
+      fs.closeSync(fd);
+      fs.appendFileSync(tmpPath, tail);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+    return dropped;
+  }
+
+  static toCsv(samples) {
+    const escape = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      FIELDS.join(","),
+      ...samples.map((sample) =>
+        FIELDS.map((field) => escape(sample[field])).join(",")
+      ),
+    ].join("\n");
+  }
+
+  // Per-position stats: min buffer, max LTV and time spent at or above the
+  // alert threshold. Each sample counts until the next one of the same
+  // position.
+  static summarize(samples) {
+    const byKey = new Map();
+    for (const sample of samples) {
+      if (!byKey.has(sample.key)) byKey.set(sample.key, []);
+      byKey.get(sample.key).push(sample);
+    }
+
+    return [...byKey.values()].map((series) => {
+      let secondsAboveThreshold = 0;
+      series.forEach((sample, index) => {
+        const next = series[index + 1];
+        if (next && sample.ltv >= sample.threshold) {
+          secondsAboveThreshold +=
+            (new Date(next.time) - new Date(sample.time)) / 1000;
+        }
+      });
+
+      const minBuffer = series.reduce((min, sample) =>
+        sample.buffer < min.buffer ? sample : min
+      );
+      const maxLtv = series.reduce((max, sample) =>
+        sample.ltv > max.ltv ? sample : max
+      );
+
+      return {
+        key: series[0].key,
+        label: series[series.length - 1].label,
+        samples: series.length,
+        from: series[0].time,
+        to: series[series.length - 1].time,
+        minBuffer: minBuffer.buffer,
+        minBufferAt: minBuffer.time,
+        maxLtv: maxLtv.ltv,
+        maxLtvAt: maxLtv.time,
+        secondsAboveThreshold,
+      };
+    });
+  }
+}
+
+module.exports = PositionHistory;
+
+// Export recorded checks: `npm run export -- --from 2025-01-01 --format csv`
+if (require.main === module) {
+  const args = {};
+  process.argv.slice(2).forEach((arg, index, all) => {
+    if (arg.startsWith("--")) args[arg.slice(2)] = all[index + 1];
+  });
+
+  const format = args.format || "csv";
+  if (!["csv", "json"].includes(format)) {
+    console.error("--format must be csv or json");
+    process.exit(1);
+  }
+
+  (async () => {
+    const history = new PositionHistory(
+      path.join(process.env.STATE_DIR || "state", "history.jsonl")
+    );
+    const samples = await history.read({
+      from: args.from,
+      to: args.to,
+      key: args.position,
+    });
+
+    const output =
+      format === "csv"
+        ? PositionHistory.toCsv(samples)
+        : JSON.stringify(samples, null, 2);
+    if (args.out) {
+      fs.writeFileSync(args.out, `${output}\n`);
+      console.log(`Wrote ${samples.length} samples to ${args.out}`);
+    } else {
+      console.log(output);
+    }
+
+    // Stats go to stderr so stdout stays a clean CSV/JSON export
+    for (const stats of PositionHistory.summarize(samples)) {
+      console.error(`\n${stats.label} (${stats.key})`);
+      console.error(`- ${stats.samples} samples, ${stats.from} to ${stats.to}`);
+      console.error(
+        `- Min buffer: ${stats.minBuffer.toFixed(2)}% at ${stats.minBufferAt}`
+      );
+      console.error(
+        `- Max LTV: ${stats.maxLtv.toFixed(4)} at ${stats.maxLtvAt}`
+      );
+      console.error(
+        `- Time at or above threshold: ${(
+          stats.secondsAboveThreshold / 3600
+        ).toFixed(2)} hours`
+      );
+    }
+  })().catch((error) => {
+    console.error("Error exporting history:", error);
+    process.exit(1);
+  });
+}
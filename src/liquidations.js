@@ -0,0 +1,110 @@
+// Polls Morpho for Liquidate events in the watched markets. Logs are read
+// with eth_getLogs from the last seen block, which works on RPCs that don't
+// support filters or subscriptions. With a StateStore the last polled block
+// is saved, so liquidations that happen while the monitor is down are still
+// reported after a restart, under `stateKey` (one per chain).
+class LiquidationWatcher {
+  constructor({
+    provider,
+    morpho,
+    pollInterval,
+    blockRange,
+    state,
+    stateKey = "liquidationLastBlock",
+  }) {
+    this.provider = provider;
+    this.morphoContract = morpho;
+    this.pollInterval = pollInterval || 15000;
+    this.blockRange = blockRange || 10000;
+    this.state = state;
+    this.stateKey = stateKey;
+    this.lastBlock = null;
+    this.polling = false;
+    this.timer = null;
+    this.topic = this.morphoContract.interface.getEvent("Liquidate").topicHash;
+  }
+
+  // Calls `onLiquidation(event)` for every liquidation in one of the markets
+  // returned by `getMarketIds()`, starting after the last saved block or
+  // from the current one
+  async start(getMarketIds, onLiquidation) {
+    const saved = this.state && this.state.get(this.stateKey);
+    this.lastBlock =
+      saved !== null && saved !== undefined
+        ? saved
+        : await this.provider.getBlockNumber();
+
+    const poll = async () => {
+      // Skip a tick rather than overlap a slow poll
+      if (this.polling) return;
+      this.polling = true;
+      try {
+        await this.poll(getMarketIds(), onLiquidation);
+      } catch (error) {
+        console.error("Error polling Liquidate events:", error);
+      } finally {
+        this.polling = false;
+      }
+    };
+
+    this.timer = setInterval(poll, this.pollInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async poll(marketIds, onLiquidation) {
+    const latestBlock = await this.provider.getBlockNumber();
+    if (marketIds.length === 0 || latestBlock <= this.lastBlock) {
+      this.setLastBlock(Math.max(this.lastBlock, latestBlock));
+      return;
+    }
+
+    const address = await this.morphoContract.getAddress();
+    for (
+      let from = this.lastBlock + 1;
+      from <= latestBlock;
+      from += this.blockRange
+    ) {
+      const to = Math.min(from + this.blockRange - 1, latestBlock);
+      const logs = await this.provider.getLogs({
+        address,
+        topics: [this.topic, marketIds],
+        fromBlock: from,
+        toBlock: to,
+      });
+
+      for (const log of logs) {
+        const event = this.morphoContract.interface.parseLog(log);
+        if (!event) continue;
+
+        await onLiquidation({
+          marketId: event.args.id,
+          caller: event.args.caller,
+          borrower: event.args.borrower,
+          repaidAssets: event.args.repaidAssets,
+          repaidShares: event.args.repaidShares,
+          seizedAssets: event.args.seizedAssets,
+          badDebtAssets: event.args.badDebtAssets,
+          badDebtShares: event.args.badDebtShares,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+        });
+      }
+
+      this.setLastBlock(to);
+    }
+  }
+
+  setLastBlock(block) {
+    if (block === this.lastBlock) return;
+    this.lastBlock = block;
+    if (this.state) {
+      this.state.set(this.stateKey, block);
+    }
+  }
+}
+
+module.exports = LiquidationWatcher;
@@ -0,0 +1,123 @@
+// Alerts are built as structured messages so every notifier can render its
+// own format:
+//
+//   {
+//     source: "monitor" | "vaultMonitor",
+//     kind: "level:warning", "oracle", "liquidated", "apy", ...,
+//     severity: "info" | "watch" | "warning" | "critical" (or a level name),
+//     emoji: "🚨",
+//     title: "LIQUIDATION RISK: WARNING",
+//     subtitle: "Treasury cbBTC/USDC",
+//     fields: [["Wallet", "0x..."], ["Current LTV", "0.7512"], ...],
+//     sections: [{ title: "Oracle", lines: ["base feed 1: ...", ...] }],
+//     footer: "Check the oracle wiring ...",
+//   }
+//
+// Everything but title is optional. A field value can also be a link,
+// { text: "0x...", url: "https://basescan.org/address/0x..." }.
+
+// Ranks used by notifier routing; unknown severities (custom alert level
+// names) count as warnings
+const SEVERITY_RANKS = { info: 0, watch: 1, warning: 2, critical: 3 };
+
+function severityRank(severity) {
+  return SEVERITY_RANKS[severity] !== undefined
+    ? SEVERITY_RANKS[severity]
+    : SEVERITY_RANKS.warning;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// LTV for display; debt with no collateral has an infinite one
+function formatLtv(ltv) {
+  return ltv === Infinity ? "∞" : ltv.toFixed(4);
+}
+
+// Shared layout: heading, fields, sections, footer, with `bold()`,
+// `escape()` and `link()` supplied by the format
+function render(message, { bold, escape, link }) {
+  const value = (field) =>
+    field && typeof field === "object" && "text" in field
+      ? field.url
+        ? link(escape(field.text), field.url)
+        : escape(field.text)
+      : escape(field);
+
+  const blocks = [];
+  const emoji = message.emoji ? `${message.emoji} ` : "";
+  const heading = [bold(`${emoji}${escape(message.title)}`)];
+  if (message.subtitle) heading.push(bold(escape(message.subtitle)));
+  blocks.push(heading.join("\n"));
+
+  if (message.fields && message.fields.length > 0) {
+    blocks.push(
+      message.fields
+        .map(([name, field]) => `${escape(name)}: ${value(field)}`)
+        .join("\n")
+    );
+  }
+  for (const section of message.sections || []) {
+    if (!section.lines || section.lines.length === 0) continue;
+    const lines = section.lines.map(escape);
+    blocks.push(
+      section.title
+        ? [bold(`${escape(section.title)}:`), ...lines].join("\n")
+        : lines.join("\n")
+    );
+  }
+  if (message.footer) {
+    blocks.push(escape(message.footer));
+  }
+
+  return blocks.join("\n\n");
+}
+
+// Telegram HTML
+function toHtml(message) {
+  return render(message, {
+    bold: (text) => `<b>${text}</b>`,
+    escape: escapeHtml,
+    link: (text, url) => `<a href="${escapeHtml(url)}">${text}</a>`,
+  });
+}
+
+function toText(message) {
+  return render(message, {
+    bold: (text) => text,
+    escape: String,
+    link: (text, url) => `${text} (${url})`,
+  });
+}
+
+// Discord markdown
+function toMarkdown(message) {
+  return render(message, {
+    bold: (text) => `**${text}**`,
+    escape: (text) => String(text).replace(/([*_~`|])/g, "\\$1"),
+    link: (text, url) => `[${text}](<${url}>)`,
+  });
+}
+
+// Slack mrkdwn
+function toSlack(message) {
+  return render(message, {
+    bold: (text) => `*${text}*`,
+    escape: (text) => escapeHtml(text),
+    link: (text, url) => `<${url}|${text}>`,
+  });
+}
+
+module.exports = {
+  severityRank,
+  escapeHtml,
+  formatLtv,
+  toHtml,
+  toText,
+  toMarkdown,
+  toSlack,
+};
@@ -0,0 +1,152 @@
+const http = require("http");
+
+// Escapes a label value for the Prometheus text format
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries
+    .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    .join(",")}}`;
+}
+
+// Minimal registry of gauges and counters rendered in the Prometheus text
+// exposition format. Series are keyed by their label values.
+class Metrics {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  define(type, name, help) {
+    const fullName = `${this.prefix}_${name}`;
+    if (!this.metrics.has(fullName)) {
+      this.metrics.set(fullName, { type, help, series: new Map() });
+    }
+    return fullName;
+  }
+
+  gauge(name, help) {
+    return this.define("gauge", name, help);
+  }
+
+  counter(name, help) {
+    return this.define("counter", name, help);
+  }
+
+  series(name, labels) {
+    const metric = this.metrics.get(`${this.prefix}_${name}`);
+    if (!metric) {
+      throw new Error(`Unknown metric ${name}`);
+    }
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, value: 0 });
+    }
+    return metric.series.get(key);
+  }
+
+  set(name, labels, value) {
+    // Prometheus has no null; unknown values are left out
+    if (value === null || value === undefined || Number.isNaN(value)) {
+      this.remove(name, labels);
+      return;
+    }
+    this.series(name, labels).value = Number(value);
+  }
+
+  inc(name, labels = {}, amount = 1) {
+    this.series(name, labels).value += amount;
+  }
+
+  remove(name, labels) {
+    const metric = this.metrics.get(`${this.prefix}_${name}`);
+    if (metric) metric.series.delete(formatLabels(labels));
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      for (const [labels, series] of metric.series) {
+        const value =
+          series.value === Infinity
+            ? "+Inf"
+            : series.value === -Infinity
+            ? "-Inf"
+            : series.value;
+        lines.push(`${name}${labels} ${value}`);
+      }
+    }
+    return `${lines.join("\n")}\n`;
+  }
+}
+
+// Serves /metrics from `metrics` and /healthz from `checkHealth()`, which
+// resolves to { ok, ...details }. Unhealthy answers use status 503. A port
+// that can't be used (taken, privileged) is logged and the monitor carries on
+// without metrics.
+function startMetricsServer({ port, metrics, checkHealth }) {
+  const server = http.createServer(async (request, response) => {
+    const url = request.url.split("?")[0];
+
+    try {
+      if (url === "/metrics") {
+        response.writeHead(200, {
+          "Content-Type": "text/plain; version=0.0.4",
+        });
+        response.end(metrics.render());
+      } else if (url === "/healthz") {
+        const health = await checkHealth();
+        response.writeHead(health.ok ? 200 : 503, {
+          "Content-Type": "application/json",
+        });
+        response.end(JSON.stringify(health, null, 2));
+      } else {
+        response.writeHead(404);
+        response.end();
+      }
+    } catch (error) {
+      response.writeHead(500);
+      response.end(error.message);
+    }
+  });
+
+  server.on("error", (error) => {
+    console.error(
+      `Metrics server on port ${port} failed, continuing without metrics:`,
+      error.message
+    );
+  });
+  server.listen(port, () => {
+    console.log(`Metrics on http://localhost:${port}/metrics and /healthz`);
+  });
+  return server;
+}
+
+// Rejects after `ms` milliseconds, for reachability checks
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`timed out after ${ms}ms`)),
+        ms
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  Metrics,
+  startMetricsServer,
+  withTimeout,
+};
@@ -1,373 +1,2320 @@
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
 const { ethers } = require("ethers");
-const TelegramNotifier = require("./telegram");
+const MorphoPosition = require("./position");
+const MarketDiscovery = require("./discovery");
+const OracleResolver = require("./oracle");
+const PositionProtector = require("./protection");
+const LiquidationWatcher = require("./liquidations");
+const AuthorizationWatcher = require("./authorizations");
+const { parseAlertLevels, nextLevel } = require("./alertLevels");
+const StateStore = require("./stateStore");
+const PositionHistory = require("./history");
+const { Metrics, startMetricsServer, withTimeout } = require("./metrics");
+const TelegramBot = require("./telegramBot");
+const { createNotifiers } = require("./notifiers");
+const { RpcPool } = require("./rpc");
+const {
+  loadChains,
+  resolveChainId,
+  explorerLink,
+  marketLink,
+} = require("./chains");
+const { CheckScheduler, adaptiveInterval } = require("./scheduler");
+const EventSubscriber = require("./subscriptions");
+const { toText, formatLtv, escapeHtml } = require("./messages");
+const {
+  parseShocks,
+  loadPriceSeries,
+  stressReport,
+  describeStress,
+} = require("./stress");
 
 // Import contract ABIs
 const MORPHO_ABI = require("../contract_abi/morpho_abi.json");
-const MARKET_ORACLE_ABI = require("../contract_abi/market_oracle_abi.json");
-const COLLATERAL_ORACLE_ABI = require("../contract_abi/collateral_oracle_abi.json");
-const BORROW_ORACLE_ABI = require("../contract_abi/debt_oracle_abi.json");
-const TOKENS_ABI = [
-  "function decimals() view returns (uint8)",
-  "function symbol() view returns (string)",
-];
 
 // Configuration from environment variables
-const RPC_URL = process.env.RPC_URL || "https://mainnet.base.org";
-const MORPHO_ADDRESS =
-  process.env.MORPHO_ADDRESS || "0xBBBBBbbBBb9cC5e90e3b3Af64bdAF62C37EEFFCb";
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || "8453"); // Chain of positions that don't name one, 8453 = Base
+const CHAINS = JSON.parse(process.env.CHAINS || "{}"); // Per-chain settings and extra chains, see readme
+const RPC_URLS = (process.env.RPC_URLS || process.env.RPC_URL || "")
+  .split(",")
+  .map((url) => url.trim())
+  .filter(Boolean); // CHAIN_ID's endpoints, comma separated, ranked by health at runtime
+const RPC_TIMEOUT = parseInt(process.env.RPC_TIMEOUT || "10") * 1000; // Per-request timeout before failing over
+const RPC_QUORUM = parseInt(process.env.RPC_QUORUM || "1"); // Endpoints that must agree on position and oracle reads, 1 = off
+const RPC_MAX_LAG = parseInt(process.env.RPC_MAX_LAG || "10"); // Warn when an endpoint's head block is this far behind
+const MULTICALL_ADDRESS = process.env.MULTICALL_ADDRESS || ""; // CHAIN_ID's Multicall3, batches each check's reads at one block
+const MORPHO_ADDRESS = process.env.MORPHO_ADDRESS || ""; // CHAIN_ID's Morpho Blue, defaults to the registry's
 const WALLET_ADDRESS = process.env.WALLET_ADDRESS || "";
 const MARKET_ID = process.env.MARKET_ID || "";
+const POSITIONS = process.env.POSITIONS || ""; // JSON array of positions to watch
+const POSITIONS_FILE = process.env.POSITIONS_FILE || ""; // Or a path to a JSON file with the same array
 const LTV_ALERT_THRESHOLD = parseFloat(process.env.LTV_ALERT_THRESHOLD || "0.8"); // Send alert at 80% LTV
+const TARGET_LTV = parseFloat(process.env.TARGET_LTV || "0.6"); // Remediation suggestions bring LTV back to 60%
+const UTILIZATION_ALERT_THRESHOLD = parseFloat(process.env.UTILIZATION_ALERT_THRESHOLD || "0.95"); // Lenders: alert when market utilization reaches 95%
 const CHECK_INTERVAL = parseInt(process.env.CHECK_INTERVAL || "300") * 1000; // Check every 5 minutes
+const MIN_CHECK_INTERVAL = parseInt(process.env.MIN_CHECK_INTERVAL || "0") * 1000; // Adaptive interval floor as the buffer shrinks, fixed interval when unset
+const ADAPTIVE_FULL_BUFFER = parseFloat(process.env.ADAPTIVE_FULL_BUFFER || "30"); // Buffer (%) at or above which CHECK_INTERVAL is used
+const WS_URL = process.env.WS_URL || ""; // CHAIN_ID's WebSocket RPC for block, oracle and Morpho event subscriptions, off when unset
+const BLOCK_CHECK_BUFFER = parseFloat(process.env.BLOCK_CHECK_BUFFER || "5"); // With a WebSocket RPC, positions below this buffer (%) are checked every block
 const ALERT_COOLDOWN = parseInt(process.env.ALERT_COOLDOWN || "360") * 1000; // If notified within 6 minutes
+const ALERT_LEVELS = process.env.ALERT_LEVELS
+  ? JSON.parse(process.env.ALERT_LEVELS)
+  : null; // Named severity levels, see readme
+const ALERT_HYSTERESIS = parseFloat(process.env.ALERT_HYSTERESIS || "0.02"); // LTV must fall 2 points below a level to leave it
+const ORACLE_HEARTBEAT = parseInt(process.env.ORACLE_HEARTBEAT || "86400"); // Max feed age in seconds
+const FEED_HEARTBEATS = JSON.parse(process.env.FEED_HEARTBEATS || "{}"); // Per-feed max age, { "0xfeed": seconds }
+const ORACLE_DIVERGENCE_TOLERANCE = parseFloat(process.env.ORACLE_DIVERGENCE_TOLERANCE || "0.005"); // Alert when oracle and feed prices differ by 0.5%
+const PROTECTION_ENABLED = process.env.PROTECTION_ENABLED === "true"; // Opt-in automatic deleveraging
+const PROTECTION_PRIVATE_KEY = process.env.PROTECTION_PRIVATE_KEY || ""; // Signer that repays / supplies collateral
+const PROTECTION_DRY_RUN = process.env.PROTECTION_DRY_RUN !== "false"; // Only simulate with staticCall unless set to false
+const PROTECTION_EMERGENCY_LTV = parseFloat(process.env.PROTECTION_EMERGENCY_LTV || "0.85"); // Act at 85% LTV
+const PROTECTION_TARGET_LTV = parseFloat(process.env.PROTECTION_TARGET_LTV || process.env.TARGET_LTV || "0.6"); // Deleverage back to 60% LTV
+const PROTECTION_STRATEGY = process.env.PROTECTION_STRATEGY || "repay-first"; // repay-first, collateral-first, repay or collateral
+const PROTECTION_MAX_REPAY_PER_ACTION = process.env.PROTECTION_MAX_REPAY_PER_ACTION || ""; // Loan token units
+const PROTECTION_MAX_REPAY_PER_DAY = process.env.PROTECTION_MAX_REPAY_PER_DAY || ""; // Loan token units
+const PROTECTION_MAX_COLLATERAL_PER_ACTION = process.env.PROTECTION_MAX_COLLATERAL_PER_ACTION || ""; // Collateral token units
+const PROTECTION_MAX_COLLATERAL_PER_DAY = process.env.PROTECTION_MAX_COLLATERAL_PER_DAY || ""; // Collateral token units
+const PROTECTION_TX_TIMEOUT = parseInt(process.env.PROTECTION_TX_TIMEOUT || "120000"); // Wait up to 2 minutes per transaction
+const LIQUIDATION_POLL_INTERVAL = parseInt(process.env.LIQUIDATION_POLL_INTERVAL || "15") * 1000; // Look for Liquidate events every 15 seconds
+const MARKET_LIQUIDATION_ALERTS = process.env.MARKET_LIQUIDATION_ALERTS === "true"; // Also report other borrowers' liquidations
+const LARGE_LIQUIDATION_THRESHOLD = parseFloat(process.env.LARGE_LIQUIDATION_THRESHOLD || "10000"); // Loan token units repaid
+const AUTHORIZATION_ALERTS = process.env.AUTHORIZATION_ALERTS !== "false"; // Critical alert when a watched wallet authorizes an unexpected Morpho operator
+const AUTHORIZED_OPERATORS = (process.env.AUTHORIZED_OPERATORS || "")
+  .split(",")
+  .map((address) => address.trim())
+  .filter(Boolean); // Expected operators (bundlers, our own bots), comma separated
+const AUTHORIZATION_POLL_INTERVAL = parseInt(process.env.AUTHORIZATION_POLL_INTERVAL || "60") * 1000; // Look for SetAuthorization events every minute
+const AUTHORIZATION_CHECK_INTERVAL = parseInt(process.env.AUTHORIZATION_CHECK_INTERVAL || "3600") * 1000; // Re-read isAuthorized for every known operator hourly
+const STATE_DIR = process.env.STATE_DIR || "state"; // Cooldowns, last-seen values and the alert log survive restarts here
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== "false"; // Record every check to STATE_DIR/history.jsonl
+const HISTORY_RETENTION_DAYS = parseFloat(process.env.HISTORY_RETENTION_DAYS || "90"); // Drop recorded checks older than this, 0 keeps them all
+const STRESS_SHOCKS = parseShocks(process.env.STRESS_SHOCKS); // Price shocks for /stress and the daily summary, see readme
+const STRESS_HORIZONS = (process.env.STRESS_HORIZONS || "1,7")
+  .split(",")
+  .map((days) => parseFloat(days)); // Days ahead the liquidation probability is estimated for
+const STRESS_VOLATILITY_WINDOW = parseFloat(process.env.STRESS_VOLATILITY_WINDOW || "30"); // Days of recorded prices the volatility is estimated from
+const STRESS_PRICE_SERIES = process.env.STRESS_PRICE_SERIES || ""; // Or a CSV/JSON price series file, for positions without their own
+const DAILY_SUMMARY_TIME = process.env.DAILY_SUMMARY_TIME || ""; // UTC time (HH:MM) of the daily risk summary, off when unset
+const METRICS_PORT = parseInt(process.env.METRICS_PORT || "0"); // Serve /metrics and /healthz on this port, off when unset
+const HEALTH_MAX_POLL_AGE = parseInt(process.env.HEALTH_MAX_POLL_AGE || "0") * 1000 || CHECK_INTERVAL * 3; // /healthz fails when the last good poll is older
+const NOTIFIERS = process.env.NOTIFIERS || ""; // JSON array of notification channels, Telegram TOKEN/CHANNEL when unset
+const TELEGRAM_COMMANDS = process.env.TELEGRAM_COMMANDS === "true"; // Answer /status, /ltv, ... in Telegram
+const TELEGRAM_ALLOWED_IDS = process.env.TELEGRAM_ALLOWED_IDS || process.env.CHANNEL || ""; // Chat or user ids allowed to use commands
+const DISCOVERY_FROM_BLOCK = process.env.DISCOVERY_FROM_BLOCK
+  ? parseInt(process.env.DISCOVERY_FROM_BLOCK)
+  : undefined; // Defaults to the Morpho deployment block
+const DISCOVERY_BLOCK_RANGE = parseInt(process.env.DISCOVERY_BLOCK_RANGE || "10000"); // Blocks per eth_getLogs request
 
-// Initialize these after getting market parameters
-let collateralOracleContract;
-let borrowOracleContract;
+// Known chains (see chains.js), with the single-chain settings above applied
+// to CHAIN_ID unless CHAINS sets them
+const chains = loadChains({
+  ...CHAINS,
+  [CHAIN_ID]: {
+    ...(RPC_URLS.length > 0 && { rpcUrls: RPC_URLS }),
+    ...(MORPHO_ADDRESS && { morpho: MORPHO_ADDRESS }),
+    ...(MULTICALL_ADDRESS && { multicall: MULTICALL_ADDRESS }),
+    ...(WS_URL && { wsUrl: WS_URL }),
+    ...CHAINS[CHAIN_ID],
+  },
+});
 
-// Initialize ethers provider
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+// Relative difference as a percentage string
+function formatPercent(value) {
+  return `${(value * 100).toFixed(4)}%`;
+}
+
+// Repay / supply suggestions, one line each
+function describeRemediation(remediation) {
+  const lines = [`Repay ${remediation.repay}`];
+  if (remediation.supplyCollateral) {
+    lines.push(`or supply ${remediation.supplyCollateral} collateral`);
+  }
+  if (remediation.mixed) {
+    lines.push(
+      `or repay ${remediation.mixed.repay} and supply ${remediation.mixed.supplyCollateral}`
+    );
+  }
+  return lines;
+}
+
+// Projected duration in days, for interest-only liquidation estimates
+function formatDays(seconds) {
+  if (seconds === null) return "never (no debt)";
+  if (seconds === Infinity) return "never (no interest accruing)";
+  if (seconds === 0) return "now";
+  return `in ~${(seconds / 86400).toFixed(1)} days`;
+}
+
+// Field value linking an address or transaction to the chain's explorer
+function explorerField(chain, value, type = "address") {
+  return { text: value, url: explorerLink(chain, type, value) };
+}
+
+// Prometheus metrics exposed on METRICS_PORT
+function createMetrics() {
+  const metrics = new Metrics("morpho");
+  metrics.gauge("position_ltv", "Current LTV");
+  metrics.gauge("position_lltv", "Market liquidation LTV");
+  metrics.gauge(
+    "position_buffer_percent",
+    "Price drop left before liquidation, in percent"
+  );
+  metrics.gauge("position_collateral", "Collateral in collateral token units");
+  metrics.gauge(
+    "position_debt",
+    "Debt including accrued interest, in loan token units"
+  );
+  metrics.gauge(
+    "position_collateral_price",
+    "Oracle price in loan token per collateral token"
+  );
+  metrics.gauge(
+    "position_liquidation_price",
+    "Lowest healthy price in loan token per collateral token"
+  );
+  metrics.gauge(
+    "position_healthy",
+    "1 when Morpho considers the position healthy"
+  );
+  metrics.gauge(
+    "position_alert_level",
+    "Index of the current alert level, -1 below every level"
+  );
+  metrics.gauge(
+    "position_supplied",
+    "Supplied assets including accrued yield, in loan token units"
+  );
+  metrics.gauge(
+    "position_withdrawable",
+    "Supplied assets that could be withdrawn now, in loan token units"
+  );
+  metrics.gauge(
+    "market_utilization_ratio",
+    "Borrowed share of the market's supply, 0 to 1"
+  );
+  metrics.gauge(
+    "market_liquidity",
+    "Supplied assets nobody borrowed, in loan token units"
+  );
+  metrics.gauge(
+    "oracle_component_value",
+    "Value of each vault/feed behind the market oracle"
+  );
+  metrics.gauge(
+    "oracle_divergence_ratio",
+    "Relative gap between oracle.price() and its recomputed price"
+  );
+  metrics.gauge("poll_duration_seconds", "Duration of the last full poll");
+  metrics.gauge(
+    "check_interval_seconds",
+    "Current interval between full polls, shorter as buffers shrink"
+  );
+  metrics.gauge(
+    "last_success_timestamp_seconds",
+    "End of the last poll without errors"
+  );
+  metrics.counter("polls_total", "Polls run");
+  metrics.counter("poll_errors_total", "Errors while polling, by stage");
+  metrics.counter("alerts_sent_total", "Alerts sent, by kind and severity");
+  metrics.counter(
+    "alert_delivery_failures_total",
+    "Alerts a notification channel failed to deliver, by kind and channel"
+  );
+  metrics.gauge(
+    "rpc_endpoint_health",
+    "Recent success rate of each RPC endpoint, 0 to 1"
+  );
+  metrics.gauge(
+    "rpc_endpoint_latency_seconds",
+    "Average response time of each RPC endpoint"
+  );
+  metrics.gauge(
+    "rpc_endpoint_head_lag_blocks",
+    "Blocks each RPC endpoint's head is behind the best one"
+  );
+  return metrics;
+}
+
+// Heartbeats passed to every position's oracle resolver
+const oracleOptions = {
+  defaultHeartbeat: ORACLE_HEARTBEAT,
+  heartbeats: Object.fromEntries(
+    Object.entries(FEED_HEARTBEATS).map(([feed, seconds]) => [
+      feed.toLowerCase(),
+      parseInt(seconds),
+    ])
+  ),
+};
+
+// Build the list of positions to watch. POSITIONS / POSITIONS_FILE hold an
+// array of { wallet, marketId, chain, threshold, levels, label } entries;
+// without them we fall back to the single WALLET_ADDRESS / MARKET_ID pair.
+// Entries without a chain are on CHAIN_ID, entries without a marketId have
+// their markets discovered from on-chain events.
+function loadPositionConfigs() {
+  let entries;
+
+  if (POSITIONS) {
+    entries = JSON.parse(POSITIONS);
+  } else if (POSITIONS_FILE) {
+    entries = JSON.parse(fs.readFileSync(path.resolve(POSITIONS_FILE), "utf8"));
+  } else {
+    entries = [{ wallet: WALLET_ADDRESS, marketId: MARKET_ID }];
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error("Position configuration must be a JSON array");
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.wallet || !ethers.isAddress(entry.wallet)) {
+      throw new Error(`Position #${index + 1}: invalid wallet address`);
+    }
+    if (entry.marketId && !ethers.isHexString(entry.marketId, 32)) {
+      throw new Error(`Position #${index + 1}: invalid market id`);
+    }
 
-// Initialize Morpho contracts
-const morphoContract = new ethers.Contract(
-  MORPHO_ADDRESS,
-  MORPHO_ABI,
-  provider
-);
+    // A position's own threshold is a single "warning" level and takes
+    // precedence over ALERT_LEVELS
+    const threshold =
+      entry.threshold !== undefined
+        ? parseFloat(entry.threshold)
+        : LTV_ALERT_THRESHOLD;
+    const levels = parseAlertLevels(
+      entry.levels ||
+        (entry.threshold === undefined && ALERT_LEVELS) || [
+          { name: "warning", ltv: threshold },
+        ],
+      ALERT_COOLDOWN
+    );
+
+    let chainId;
+    try {
+      chainId =
+        entry.chain !== undefined
+          ? resolveChainId(entry.chain, chains)
+          : CHAIN_ID;
+    } catch (error) {
+      throw new Error(`Position #${index + 1}: ${error.message}`);
+    }
+
+    return {
+      wallet: ethers.getAddress(entry.wallet),
+      marketId: entry.marketId || null,
+      chainId,
+      // Lowest alert level
+      threshold: levels[0].ltv,
+      levels,
+      targetLtv:
+        entry.targetLtv !== undefined
+          ? parseFloat(entry.targetLtv)
+          : TARGET_LTV,
+      utilizationThreshold:
+        entry.utilizationThreshold !== undefined
+          ? parseFloat(entry.utilizationThreshold)
+          : UTILIZATION_ALERT_THRESHOLD,
+      label: entry.label,
+      priceSeries: entry.priceSeries || STRESS_PRICE_SERIES,
+      // Per-position overrides of the PROTECTION_* settings
+      protection: {
+        enabled: PROTECTION_ENABLED,
+        emergencyLtv: PROTECTION_EMERGENCY_LTV,
+        targetLtv: PROTECTION_TARGET_LTV,
+        strategy: PROTECTION_STRATEGY,
+        maxRepayPerAction: PROTECTION_MAX_REPAY_PER_ACTION,
+        maxRepayPerDay: PROTECTION_MAX_REPAY_PER_DAY,
+        maxCollateralPerAction: PROTECTION_MAX_COLLATERAL_PER_ACTION,
+        maxCollateralPerDay: PROTECTION_MAX_COLLATERAL_PER_DAY,
+        ...entry.protection,
+      },
+    };
+  });
+}
 
 class MorphoMonitor {
-  constructor() {
-    this.lastAlertTime = 0;
+  constructor(positionConfigs) {
     this.alertCooldown = ALERT_COOLDOWN;
-    this.marketParams = null;
-    this.loanDecimals = null;
-    this.collateralDecimals = null;
-    this.oracleContract = null;
-    // Initialize Telegram notifier
-    this.telegram = new TelegramNotifier(
-      process.env.TOKEN,
-      process.env.CHANNEL
+    // Cooldowns, alert levels and the alert log, persisted across restarts
+    this.state = new StateStore(path.join(STATE_DIR, "monitor.json"));
+
+    // Every check, for `npm run export`
+    this.history = HISTORY_ENABLED
+      ? new PositionHistory(path.join(STATE_DIR, "history.jsonl"))
+      : null;
+    // Last time old checks were dropped, see pruneHistory()
+    this.historyPrunedAt = 0;
+
+    // Provider, contracts and watchers per chain, see connectChain()
+    this.chains = new Map();
+
+    this.positions = [];
+    positionConfigs
+      .filter((config) => config.marketId)
+      .forEach((config) => this.addPosition(config));
+
+    // Wallets whose markets are discovered from Morpho events
+    this.discoveryTargets = positionConfigs.filter(
+      (config) => !config.marketId
+    );
+    this.discoveryTargets.forEach((target) =>
+      this.connectChain(target.chainId)
     );
+    this.discoveryDone = false;
+    // Discovery in progress, it runs beside the checks
+    this.discovering = null;
+
+    // Checks run one at a time, on the adaptive timer and on events
+    this.scheduler = new CheckScheduler({
+      run: (keys, reasons) => this.runChecks(keys, reasons),
+      getInterval: () => this.checkInterval(),
+    });
+    this.checkIntervalMs = null;
+
+    // Poll outcome for /healthz
+    this.metrics = createMetrics();
+    this.lastSuccess = null;
+    this.pollErrors = 0;
+
+    // Notification channels and their routing rules
+    this.notifier = createNotifiers(NOTIFIERS, { state: this.state });
+    // Cooldown keys of alerts queued and not yet delivered
+    this.delivering = new Set();
+
+    // Automatic deleveraging needs a signer
+    if (PROTECTION_ENABLED && !PROTECTION_PRIVATE_KEY) {
+      throw new Error("PROTECTION_ENABLED requires PROTECTION_PRIVATE_KEY");
+    }
+    const invalid = AUTHORIZED_OPERATORS.find(
+      (address) => !ethers.isAddress(address)
+    );
+    if (invalid) {
+      throw new Error(`AUTHORIZED_OPERATORS: invalid address ${invalid}`);
+    }
   }
 
-  async getPositionData() {
-    try {
-      // Get market parameters first
-      if (!this.marketParams) {
-        this.marketParams = await morphoContract.idToMarketParams(MARKET_ID);
-
-        // Initialize oracle contract
-        this.oracleContract = new ethers.Contract(
-          this.marketParams.oracle,
-          MARKET_ORACLE_ABI,
-          provider
-        );
+  // Everything tied to one chain, created with its first position:
+  // { chain, provider, morpho, discovery, liquidations, authorizations,
+  // protector, subscriber }
+  connectChain(chainId) {
+    if (this.chains.has(chainId)) {
+      return this.chains.get(chainId);
+    }
 
-        // Get oracle feed addresses
-        const [baseFeed1, quoteFeed1] = await Promise.all([
-          this.oracleContract.BASE_FEED_1(), // Collateral
-          this.oracleContract.QUOTE_FEED_1(), // Borrow
-        ]);
+    const chain = chains.get(chainId);
+    // Failing over between every RPC endpoint of the chain
+    const provider = new RpcPool(chain.rpcUrls, {
+      chainId,
+      timeout: RPC_TIMEOUT,
+      quorum: RPC_QUORUM,
+      maxLag: RPC_MAX_LAG,
+    });
+    const morpho = new ethers.Contract(chain.morpho, MORPHO_ABI, provider);
+    // CHAIN_ID keeps the state keys from before multichain support
+    const stateKey = (name) =>
+      chainId === CHAIN_ID ? name : `${name}:${chainId}`;
 
-        // Initialize oracle contracts with the feed addresses
-        collateralOracleContract = new ethers.Contract(
-          baseFeed1,
-          COLLATERAL_ORACLE_ABI,
-          provider
-        );
+    const discovery = new MarketDiscovery({
+      provider,
+      morpho,
+      fromBlock: chainId === CHAIN_ID ? DISCOVERY_FROM_BLOCK : undefined,
+      blockRange: DISCOVERY_BLOCK_RANGE,
+      state: this.state,
+      stateKey: stateKey("discovery"),
+    });
+
+    const context = {
+      chain,
+      provider,
+      morpho,
+      discovery,
+      // Liquidate events in every watched market
+      liquidations: new LiquidationWatcher({
+        provider,
+        morpho,
+        pollInterval: LIQUIDATION_POLL_INTERVAL,
+        blockRange: DISCOVERY_BLOCK_RANGE,
+        state: this.state,
+        stateKey: stateKey("liquidationLastBlock"),
+      }),
+      // Morpho authorizations of the watched wallets, scanned from the same
+      // block as market discovery
+      authorizations: AUTHORIZATION_ALERTS
+        ? new AuthorizationWatcher({
+            provider,
+            morpho,
+            chain,
+            operators: AUTHORIZED_OPERATORS,
+            pollInterval: AUTHORIZATION_POLL_INTERVAL,
+            checkInterval: AUTHORIZATION_CHECK_INTERVAL,
+            blockRange: DISCOVERY_BLOCK_RANGE,
+            getStartBlock: () => discovery.getStartBlock(),
+            state: this.state,
+            stateKey: stateKey("authorizations"),
+          })
+        : null,
+      protector: PROTECTION_ENABLED
+        ? new PositionProtector({
+            signer: new ethers.Wallet(PROTECTION_PRIVATE_KEY, provider),
+            morpho,
+            dryRun: PROTECTION_DRY_RUN,
+            txTimeout: PROTECTION_TX_TIMEOUT,
+            state: this.state,
+            stateKey: stateKey("protectionSpending"),
+            pendingStateKey: stateKey("protectionPending"),
+          })
+        : null,
+      subscriber: null,
+    };
+    this.chains.set(chainId, context);
+    return context;
+  }
+
+  addPosition(config) {
+    const { chain, provider, morpho } = this.connectChain(config.chainId);
+    const position = new MorphoPosition(config, {
+      provider,
+      morpho,
+      chain,
+      oracleOptions,
+    });
+    this.restorePosition(position);
+    this.positions.push(position);
+    return position;
+  }
+
+  // Chain context of a position
+  chainOf(position) {
+    return this.chains.get(position.chain.id);
+  }
+
+  // State key of a position, per chain since the same wallet and market id
+  // can exist on several
+  positionStateKey(position) {
+    return `position:${position.chain.id}:${position.key}`;
+  }
+
+  // Cooldown timers and the alert level saved by a previous run. State saved
+  // before chain ids were part of the key moves to the first position
+  // claiming it.
+  restorePosition(position) {
+    const stateKey = this.positionStateKey(position);
+    const legacyKey = `position:${position.key}`;
+    if (this.state.get(stateKey) === null && this.state.get(legacyKey)) {
+      this.state.set(stateKey, this.state.get(legacyKey));
+      this.state.delete(legacyKey);
+    }
+
+    const saved = this.state.get(stateKey);
+    if (!saved) return;
+
+    position.lastAlertTimes = saved.lastAlertTimes || {};
+    position.supplyTracking = saved.supplyTracking || null;
+    for (const [name, ltv] of Object.entries(saved.levelOverrides || {})) {
+      if (position.levels.some((level) => level.name === name)) {
+        position.setLevelLtv(ltv, name);
+      }
+    }
+    // Levels are saved by name in case the configured levels changed
+    position.alertLevel = position.levels.findIndex(
+      (level) => level.name === saved.alertLevel
+    );
+  }
+
+  savePosition(position) {
+    const level = position.levels[position.alertLevel];
+    this.state.set(this.positionStateKey(position), {
+      lastAlertTimes: position.lastAlertTimes,
+      alertLevel: level ? level.name : null,
+      levelOverrides: position.levelOverrides,
+      supplyTracking: position.supplyTracking,
+    });
+  }
+
+  // Sends a structured message (see messages.js) to every channel routed to
+  // it and records it in the alert log. Resolves to false when alerts are
+  // paused or no channel delivered it, so no cooldown starts. Delivery can
+  // take minutes of retries, so checks don't wait for it: cooldowns start
+  // from the promise instead, which never rejects.
+  sendAlert(message) {
+    return this.deliverAlert(message).catch((error) => {
+      console.error(`Error sending ${message.kind} alert:`, error);
+      return false;
+    });
+  }
+
+  async deliverAlert(message) {
+    const alert = { source: "monitor", ...message };
+    const entry = {
+      source: alert.source,
+      key: alert.key,
+      kind: alert.kind,
+      severity: alert.severity,
+      title: alert.title,
+      payload: alert,
+    };
+
+    if (this.isPaused()) {
+      console.log(`Alerts paused, not sending ${alert.kind} alert`);
+      this.state.recordAlert({ ...entry, suppressed: true });
+      return false;
+    }
+
+    const { delivered, failed } = await this.notifier.send(alert);
+    for (const channel of failed) {
+      this.metrics.inc("alert_delivery_failures_total", {
+        kind: alert.kind,
+        channel,
+      });
+    }
+    // Channels whose route skips this alert count as neither
+    if (delivered.length === 0 && failed.length > 0) {
+      this.state.recordAlert({ ...entry, failed });
+      return false;
+    }
+
+    this.metrics.inc("alerts_sent_total", {
+      kind: alert.kind,
+      severity: alert.severity,
+    });
+    this.state.recordAlert({
+      ...entry,
+      delivered,
+      ...(failed.length > 0 ? { failed } : {}),
+    });
+    return true;
+  }
+
+  // Chain, wallet and market lines shared by position alerts, linking to
+  // the explorer and the Morpho app
+  positionFields(position) {
+    const { chain } = position;
+    return [
+      ["Chain", chain.name],
+      ["Wallet", explorerField(chain, position.wallet)],
+      [
+        "Market",
+        { text: position.marketId, url: marketLink(chain, position.marketId) },
+      ],
+    ];
+  }
+
+  // Paused with /pause, until `until` (ms) or indefinitely when null
+  isPaused() {
+    const paused = this.state.get("paused");
+    if (!paused) return false;
+    if (paused.until !== null && Date.now() >= paused.until) {
+      this.state.set("paused", null);
+      return false;
+    }
+    return true;
+  }
 
-        borrowOracleContract = new ethers.Contract(
-          quoteFeed1,
-          BORROW_ORACLE_ABI,
-          provider
+  hasPosition(wallet, marketId, chainId) {
+    const key = `${wallet.toLowerCase()}:${marketId.toLowerCase()}`;
+    return this.positions.some(
+      (position) => position.key === key && position.chain.id === chainId
+    );
+  }
+
+  // Scan for markets the discovery wallets have entered since the last scan
+  // and start watching every one with an open position. New positions are
+  // checked right away, through the scheduler.
+  async discoverPositions() {
+    const added = [];
+    for (const target of this.discoveryTargets) {
+      const { chain, discovery } = this.chains.get(target.chainId);
+      const marketIds = await discovery.scan(target.wallet);
+
+      for (const marketId of marketIds) {
+        if (this.hasPosition(target.wallet, marketId, target.chainId)) {
+          continue;
+        }
+
+        const [name, state] = await Promise.all([
+          discovery.describeMarket(marketId),
+          discovery.getPosition(marketId, target.wallet),
+        ]);
+        console.log(
+          `Discovered market ${name} (${marketId}) on ${chain.name} for ${
+            target.wallet
+          }: ${state.isOpen ? "open" : "closed"}`
         );
 
-        console.log("Market Parameters:", {
-          loanToken: this.marketParams.loanToken,
-          collateralToken: this.marketParams.collateralToken,
-          oracle: this.marketParams.oracle,
-          irm: this.marketParams.irm,
-          lltv: ethers.formatEther(this.marketParams.lltv),
+        if (!state.isOpen) continue;
+
+        const position = this.addPosition({
+          wallet: target.wallet,
+          marketId,
+          chainId: target.chainId,
+          threshold: target.threshold,
+          levels: target.levels,
+          targetLtv: target.targetLtv,
+          utilizationThreshold: target.utilizationThreshold,
+          protection: target.protection,
+          priceSeries: target.priceSeries,
+          label: target.label ? `${target.label} ${name}` : undefined,
         });
+        added.push(position);
 
-        // Get token information
-        const loanTokenContract = new ethers.Contract(
-          this.marketParams.loanToken,
-          TOKENS_ABI,
-          provider
-        );
-        const collateralTokenContract = new ethers.Contract(
-          this.marketParams.collateralToken,
-          TOKENS_ABI,
-          provider
-        );
+        // Markets entered after startup get announced
+        if (this.discoveryDone) {
+          this.sendAlert({
+            key: position.key,
+            kind: "discovery",
+            severity: "info",
+            emoji: "🆕",
+            title: "New Morpho Position Detected",
+            fields: [
+              ...this.positionFields(position),
+              ["Market name", name],
+              ["Alert at", `${position.threshold} LTV`],
+            ],
+          });
+        }
+      }
+    }
+
+    this.discoveryDone = true;
+    if (added.length > 0) {
+      this.scheduler.trigger(
+        "discovered positions",
+        new Set(added.map((position) => this.positionStateKey(position)))
+      );
+    }
+  }
+
+  // Each alert kind (liquidation risk level, oracle health, ...) has its own
+  // cooldown per position
+  async logAlert(
+    position,
+    message,
+    kind = "liquidation",
+    { cooldown = this.alertCooldown, severity = "warning" } = {}
+  ) {
+    const currentTime = Date.now();
+    const lastAlertTime = position.lastAlertTimes[kind] || 0;
+
+    if (currentTime - lastAlertTime < cooldown) {
+      console.log(`[${position.label}] ${kind} alert cooldown in effect`);
+      return;
+    }
+
+    // Repeats aren't queued behind an alert still being delivered
+    const deliveryKey = `${this.positionStateKey(position)}:${kind}`;
+    if (cooldown > 0 && this.delivering.has(deliveryKey)) {
+      console.log(`[${position.label}] ${kind} alert still being delivered`);
+      return;
+    }
+
+    console.log(toText(message));
+    // Send to every notification channel routed to this alert
+    this.delivering.add(deliveryKey);
+    this.sendAlert({
+      ...message,
+      key: position.key,
+      kind,
+      severity,
+    }).then((sent) => {
+      this.delivering.delete(deliveryKey);
+      if (!sent) return;
+
+      position.lastAlertTimes[kind] = currentTime;
+      this.savePosition(position);
+    });
+  }
+
+  // A stale or unreadable feed makes the LTV meaningless, so it gets its own
+  // alert even when the position data could not be computed
+  async checkOracleHealth(position) {
+    const health = position.oracleHealth;
+    if (!health || health.issues.length === 0) {
+      return;
+    }
+
+    const issueLines = health.issues.map(
+      (issue) =>
+        `- ${issue.name}${
+          issue.description ? ` (${issue.description})` : ""
+        }: ${issue.detail}${issue.address ? `\n  ${issue.address}` : ""}`
+    );
+    console.log(`[${position.label}] Oracle issues:\n${issueLines.join("\n")}`);
+
+    const message = {
+      emoji: "⚠️",
+      title: "ORACLE STALE/UNREADABLE",
+      subtitle: position.label,
+      fields: [
+        ...this.positionFields(position),
+        ["Oracle", explorerField(position.chain, position.marketParams.oracle)],
+      ],
+      sections: [{ lines: issueLines }],
+      footer:
+        "LTV figures for this position can't be trusted until the feeds recover.",
+    };
 
+    await this.logAlert(position, message, "oracle");
+  }
+
+  // oracle.price() and the price recomputed from its feeds should agree; a gap
+  // points to a mis-wired feed or a depeg
+  async checkOracleDivergence(position, data) {
+    const breakdown = data.priceBreakdown;
+    const summary = position.getDivergenceSummary(ORACLE_DIVERGENCE_TOLERANCE);
+
+    if (!summary) {
+      return;
+    }
+
+    const tolerance = formatPercent(ORACLE_DIVERGENCE_TOLERANCE);
+    console.log(
+      `Oracle divergence: ${formatPercent(
+        summary.latest
+      )} (tolerance ${tolerance})`
+    );
+    console.log(
+      `Last ${summary.checks} checks: max ${formatPercent(summary.max)}, ${
+        summary.breaches.length
+      } above tolerance`
+    );
+    summary.breaches.slice(-3).forEach((entry) => {
+      console.log(
+        `- ${new Date(entry.time).toISOString()}: ${formatPercent(
+          entry.divergence
+        )}`
+      );
+    });
+
+    if (
+      breakdown.divergence === null ||
+      breakdown.divergence <= ORACLE_DIVERGENCE_TOLERANCE
+    ) {
+      return;
+    }
+
+    const message = {
+      emoji: "⚠️",
+      title: "ORACLE PRICE DIVERGENCE",
+      subtitle: position.label,
+      fields: [
+        ...this.positionFields(position),
+        ["Oracle", explorerField(position.chain, position.marketParams.oracle)],
+        ["oracle.price()", breakdown.price],
+        ["Recomputed from feeds", breakdown.computedPrice],
         [
-          this.loanDecimals,
-          this.collateralDecimals,
-          this.loanSymbol,
-          this.collateralSymbol,
-        ] = await Promise.all([
-          loanTokenContract.decimals(),
-          collateralTokenContract.decimals(),
-          loanTokenContract.symbol(),
-          collateralTokenContract.symbol(),
-        ]);
+          "Divergence",
+          `${formatPercent(breakdown.divergence)} (tolerance ${tolerance})`,
+        ],
+        [
+          "Breaches",
+          `${summary.breaches.length} of the last ${summary.checks} checks`,
+        ],
+      ],
+      sections: [
+        { title: "Feeds", lines: OracleResolver.describeHops(breakdown) },
+      ],
+      footer: "Check the oracle wiring and the underlying assets for a depeg.",
+    };
+
+    await this.logAlert(position, message, "divergence");
+  }
+
+  // Lenders can only withdraw what nobody borrowed: warns when the market's
+  // utilization reaches the position's threshold and when the liquidity left
+  // no longer covers the supplied amount
+  async checkSupply(position, data) {
+    const { supply } = data;
+    if (supply.shares === 0n) {
+      return;
+    }
+    // The accrued yield moves every check
+    this.savePosition(position);
+
+    const { loanSymbol } = position;
+    const formatLoan = (amount) => `${amount.toFixed(2)} ${loanSymbol}`;
+    const fields = [
+      ...this.positionFields(position),
+      ["Supplied", formatLoan(supply.suppliedAmount)],
+      ["Withdrawable now", formatLoan(supply.withdrawable)],
+      ["Market liquidity", formatLoan(supply.liquidity)],
+      ["Utilization", formatPercent(supply.utilization)],
+      ["Supply APY", `${(supply.supplyApy * 100).toFixed(2)}%`],
+    ];
+
+    if (supply.utilization >= position.utilizationThreshold) {
+      await this.logAlert(
+        position,
+        {
+          emoji: "🔒",
+          title: "MARKET UTILIZATION HIGH",
+          subtitle: position.label,
+          fields: [
+            ...fields,
+            ["Alert at", formatPercent(position.utilizationThreshold)],
+          ],
+          footer:
+            "At 100% utilization nothing can be withdrawn until borrowers repay or others supply.",
+        },
+        "utilization"
+      );
+    }
+
+    if (supply.raw.liquidity < supply.raw.suppliedAssets) {
+      await this.logAlert(
+        position,
+        {
+          emoji: "💧",
+          title: "WITHDRAWABLE LIQUIDITY LOW",
+          subtitle: position.label,
+          fields,
+          footer: `Only ${formatLoan(supply.withdrawable)} of your ${formatLoan(
+            supply.suppliedAmount
+          )} can be withdrawn right now.`,
+        },
+        "liquidity",
+        { severity: supply.raw.liquidity === 0n ? "critical" : "warning" }
+      );
+    }
+  }
+
+  // Liquidations of a watched wallet are always reported right away; other
+  // borrowers' liquidations only when enabled and above the size threshold
+  async handleLiquidation(context, event) {
+    const { chain } = context;
+    const marketId = event.marketId.toLowerCase();
+    const inMarket = this.positions.filter(
+      (position) =>
+        position.chain.id === chain.id &&
+        position.marketId.toLowerCase() === marketId
+    );
+    if (inMarket.length === 0) return;
+
+    const own = inMarket.find(
+      (position) =>
+        position.wallet.toLowerCase() === event.borrower.toLowerCase()
+    );
+    const position = own || inMarket[0];
+    if (!position.marketParams) {
+      await position.init();
+    }
+
+    const { loanDecimals, loanSymbol, collateralDecimals, collateralSymbol } =
+      position;
+    const formatLoan = (amount) =>
+      `${ethers.formatUnits(amount, loanDecimals)} ${loanSymbol}`;
+    const repaid = parseFloat(
+      ethers.formatUnits(event.repaidAssets, loanDecimals)
+    );
+    const seized = `${ethers.formatUnits(
+      event.seizedAssets,
+      collateralDecimals
+    )} ${collateralSymbol}`;
+    const details = [
+      ["Repaid", formatLoan(event.repaidAssets)],
+      ["Seized", seized],
+      ["Bad debt", formatLoan(event.badDebtAssets)],
+      ["Liquidator", explorerField(chain, event.caller)],
+      ["Block", event.blockNumber],
+      ["Tx", explorerField(chain, event.transactionHash, "tx")],
+    ];
+
+    if (own) {
+      console.log(`[${own.label}] Liquidated in block ${event.blockNumber}`);
+      this.sendAlert({
+        key: own.key,
+        kind: "liquidated",
+        severity: "critical",
+        emoji: "💥",
+        title: "POSITION LIQUIDATED",
+        subtitle: own.label,
+        fields: [...this.positionFields(own), ...details],
+        footer: "The resulting position follows once it has been read.",
+      });
+
+      // Whatever is left after the liquidation, from a check run by the
+      // scheduler so it can't overlap another check of the position. It can
+      // wait behind a running poll, hence the separate follow-up.
+      const previous = own.lastStatus;
+      await this.scheduler.trigger(
+        `${chain.name} liquidation in block ${event.blockNumber}`,
+        new Set([this.positionStateKey(own)])
+      );
+      const status = own.lastStatus !== previous ? own.lastStatus : null;
+      let result = {
+        lines: ["Resulting position: unavailable, will show on next check"],
+      };
+      if (status) {
+        result =
+          status.debt === 0 && status.collateral === 0
+            ? { lines: ["Resulting position: fully closed"] }
+            : {
+                title: "Resulting position",
+                lines: [
+                  `Collateral: ${status.collateral.toFixed(
+                    4
+                  )} ${collateralSymbol}`,
+                  `Borrowed: ${status.debt.toFixed(2)} ${loanSymbol}`,
+                  `LTV: ${formatLtv(status.ltv)} / LLTV ${status.lltv.toFixed(
+                    4
+                  )}`,
+                ],
+              };
       }
 
-      // Get position data
-      const position = await morphoContract.position(MARKET_ID, WALLET_ADDRESS);
-      const borrowShares = position.borrowShares;
-      const collateralAmount = position.collateral;
-
-      // console.log("Raw Position:", {
-      //   borrowShares: borrowShares.toString(),
-      //   collateral: collateralAmount.toString(),
-      // });
-
-      // Get market data for asset/shares conversion
-      const marketData = await morphoContract.market(MARKET_ID);
-      const totalBorrowAssets = marketData.totalBorrowAssets;
-      const totalBorrowShares = marketData.totalBorrowShares;
-
-      // console.log("Market Data:", {
-      //   totalBorrowAssets: totalBorrowAssets.toString(),
-      //   totalBorrowShares: totalBorrowShares.toString(),
-      // });
-
-      // Convert borrowShares to borrowedAssets using SharesMathLib's logic
-      // This recreates the toAssetsUp function from the SharesMathLib
-      const VIRTUAL_SHARES = 1000000n; // 1e6 as BigInt
-      const VIRTUAL_ASSETS = 1n;
-
-      // For precision in division, work with BigInts
-      const borrowSharesBigInt = BigInt(borrowShares.toString());
-      const totalBorrowAssetsBigInt = BigInt(totalBorrowAssets.toString());
-      const totalBorrowSharesBigInt = BigInt(totalBorrowShares.toString());
-
-      // Implementing mulDivUp logic: (a * b + denominator - 1) / denominator
-      const numerator =
-        borrowSharesBigInt * (totalBorrowAssetsBigInt + VIRTUAL_ASSETS);
-      const denominator = totalBorrowSharesBigInt + VIRTUAL_SHARES;
-      const borrowedAssets = (numerator + denominator - 1n) / denominator;
-
-      // Format the position values using their respective decimals
-      // console.log("Formatted Position:", {
-      //   borrowShares: ethers.formatUnits(borrowShares, this.loanDecimals),
-      //   borrowedAssets: ethers.formatUnits(borrowedAssets, this.loanDecimals),
-      //   collateral: ethers.formatUnits(
-      //     collateralAmount,
-      //     this.collateralDecimals
-      //   ),
-      // });
-
-      // Get oracle information
-      const [collateralValue, collateralDecimals] = await Promise.all([
-        collateralOracleContract.latestAnswer(),
-        collateralOracleContract.decimals(),
-      ]);
+      this.sendAlert({
+        key: own.key,
+        kind: "liquidated",
+        severity: "critical",
+        emoji: "💥",
+        title: "POSITION AFTER LIQUIDATION",
+        subtitle: own.label,
+        fields: [
+          ...this.positionFields(own),
+          ["Block", event.blockNumber],
+          ["Tx", explorerField(chain, event.transactionHash, "tx")],
+        ],
+        sections: [result],
+      });
+      return;
+    }
 
-      const [borrowValue, borrowDecimals] = await Promise.all([
-        borrowOracleContract.latestAnswer(),
-        borrowOracleContract.decimals(),
-      ]);
+    if (!MARKET_LIQUIDATION_ALERTS || repaid < LARGE_LIQUIDATION_THRESHOLD) {
+      return;
+    }
+
+    console.log(
+      `Liquidation of ${event.borrower} in market ${event.marketId}: ${repaid} ${loanSymbol} repaid`
+    );
+    this.sendAlert({
+      key: marketId,
+      kind: "marketLiquidation",
+      severity: "warning",
+      emoji: "📉",
+      title: "LARGE LIQUIDATION IN WATCHED MARKET",
+      subtitle: await context.discovery.describeMarket(event.marketId),
+      fields: [
+        ["Chain", chain.name],
+        [
+          "Market",
+          { text: event.marketId, url: marketLink(chain, event.marketId) },
+        ],
+        ["Borrower", explorerField(chain, event.borrower)],
+        ...details,
+        [
+          "Watched positions in this market",
+          inMarket.map((watched) => watched.label).join(", "),
+        ],
+      ],
+      footer:
+        "Liquidations can cascade as seized collateral is sold; check your buffer.",
+    });
+  }
 
-      // console.log("Oracle values:", {
-      //   collateralValue: collateralValue.toString(),
-      //   collateralDecimals,
-      //   borrowValue: borrowValue.toString(),
-      //   borrowDecimals,
-      // });
-
-      // Format the raw values using decimals
-      const formattedCollateralValue = ethers.formatUnits(
-        collateralValue,
-        collateralDecimals
+  // An address outside AUTHORIZED_OPERATORS can manage a watched wallet's
+  // positions, or such an authorization was revoked. Ongoing ones are
+  // reported again after the cooldown, at every full authorization check.
+  async handleAuthorization(context, finding) {
+    const { chain } = context;
+    const positions = this.positions.filter(
+      (position) =>
+        position.chain.id === chain.id &&
+        position.wallet.toLowerCase() === finding.wallet.toLowerCase()
+    );
+    const fields = [
+      ["Chain", chain.name],
+      ["Wallet", explorerField(chain, finding.wallet)],
+      ["Authorized", explorerField(chain, finding.authorized)],
+    ];
+    if (finding.event) {
+      fields.push(
+        ["Set by", explorerField(chain, finding.event.caller)],
+        ["Block", finding.event.blockNumber],
+        ["Tx", explorerField(chain, finding.event.transactionHash, "tx")]
       );
-      const formattedBorrowValue = ethers.formatUnits(
-        borrowValue,
-        borrowDecimals
+    }
+    if (positions.length > 0) {
+      fields.push([
+        "Watched positions",
+        positions.map((position) => position.label).join(", "),
+      ]);
+    }
+
+    const lastAlertTimes = this.state.get("authorizationAlertTimes", {});
+    const cooldownKey =
+      `${chain.id}:${finding.wallet}:${finding.authorized}`.toLowerCase();
+
+    if (finding.revoked) {
+      // A new authorization of the same address is reported right away
+      delete lastAlertTimes[cooldownKey];
+      this.state.set("authorizationAlertTimes", lastAlertTimes);
+      console.log(
+        `${chain.name}: authorization of ${finding.authorized} by ${finding.wallet} revoked`
       );
+      this.sendAlert({
+        key: finding.wallet.toLowerCase(),
+        kind: "authorization",
+        severity: "info",
+        emoji: "🔓",
+        title: "MORPHO AUTHORIZATION REVOKED",
+        fields,
+      });
+      return;
+    }
 
-      console.log("Formatted oracle values:", {
-        collateralValue: formattedCollateralValue,
-        borrowValue: formattedBorrowValue,
+    if (Date.now() - (lastAlertTimes[cooldownKey] || 0) < this.alertCooldown) {
+      console.log(`${cooldownKey} authorization alert cooldown in effect`);
+      return;
+    }
+    if (this.delivering.has(`authorization:${cooldownKey}`)) {
+      console.log(`${cooldownKey} authorization alert still being delivered`);
+      return;
+    }
+
+    const message = {
+      key: finding.wallet.toLowerCase(),
+      kind: "authorization",
+      severity: "critical",
+      emoji: "🛑",
+      title: "UNEXPECTED MORPHO AUTHORIZATION",
+      fields,
+      footer: `${finding.authorized} can borrow, withdraw collateral and withdraw supply for this wallet in every Morpho market. If it isn't yours, revoke it now with setAuthorization(${finding.authorized}, false); if it is, add it to AUTHORIZED_OPERATORS.`,
+    };
+    console.log(toText(message));
+    const sentAt = Date.now();
+    this.delivering.add(`authorization:${cooldownKey}`);
+    this.sendAlert(message).then((sent) => {
+      this.delivering.delete(`authorization:${cooldownKey}`);
+      if (!sent) return;
+
+      this.state.set("authorizationAlertTimes", {
+        ...this.state.get("authorizationAlertTimes", {}),
+        [cooldownKey]: sentAt,
       });
+    });
+  }
+
+  // RPC alerts aren't tied to a position; their cooldowns live in the
+  // state, per chain
+  async logRpcAlert(chain, message, kind, severity) {
+    const lastAlertTimes = this.state.get("rpcAlertTimes", {});
+    const cooldownKey = `${chain.id}:${kind}`;
+    if (Date.now() - (lastAlertTimes[cooldownKey] || 0) < this.alertCooldown) {
+      console.log(`${chain.name} ${kind} alert cooldown in effect`);
+      return;
+    }
+    if (this.delivering.has(`rpc:${cooldownKey}`)) {
+      console.log(`${chain.name} ${kind} alert still being delivered`);
+      return;
+    }
 
-      // Get market oracle price
-      const marketOraclePrice = await this.oracleContract.price();
-      const marketOracleScaledPrice = ethers.formatUnits(marketOraclePrice, 36);
-      // console.log("Market Oracle Price:", {
-      //   rawPrice: marketOraclePrice.toString(),
-      //   scaledPrice: marketOracleScaledPrice,
-      //   description: "Price of collateral in loan token units",
-      // });
-
-      // Compare with our calculated price
-      const calculatedPrice =
-        parseFloat(formattedCollateralValue) / parseFloat(formattedBorrowValue);
-      console.log("Price Comparison:", {
-        marketOraclePrice: marketOracleScaledPrice,
-        calculatedPrice: calculatedPrice.toString(),
-        difference: Math.abs(
-          parseFloat(marketOracleScaledPrice) - calculatedPrice
-        ).toString(),
+    console.log(toText(message));
+    const sentAt = Date.now();
+    this.delivering.add(`rpc:${cooldownKey}`);
+    this.sendAlert({
+      ...message,
+      subtitle: chain.name,
+      key: "rpc",
+      kind,
+      severity,
+    }).then((sent) => {
+      this.delivering.delete(`rpc:${cooldownKey}`);
+      if (!sent) return;
+
+      this.state.set("rpcAlertTimes", {
+        ...this.state.get("rpcAlertTimes", {}),
+        [cooldownKey]: sentAt,
       });
+    });
+  }
 
-      // Use LLTV from market parameters
-      const lltv = parseFloat(ethers.formatEther(this.marketParams.lltv));
+  // Head block of every endpoint of a chain, once per poll: warns about
+  // lagging endpoints and quorum disagreements, and alerts when none answers
+  async checkRpc({ chain, provider }) {
+    const heads = await provider.checkHeads();
+    for (const endpoint of heads.endpoints) {
+      const labels = { chain: chain.name, endpoint: endpoint.name };
+      this.metrics.set("rpc_endpoint_health", labels, endpoint.health);
+      this.metrics.set(
+        "rpc_endpoint_latency_seconds",
+        labels,
+        endpoint.latency === null ? null : endpoint.latency / 1000
+      );
+      this.metrics.set(
+        "rpc_endpoint_head_lag_blocks",
+        labels,
+        endpoint.head === null ? null : endpoint.lag
+      );
+    }
+    const describe = (endpoint) =>
+      `${endpoint.name}: ${
+        endpoint.head === null
+          ? `not answering (${endpoint.lastError})`
+          : `block ${endpoint.head}, ${endpoint.lag} behind`
+      }`;
 
-      return {
-        borrowedAmount: parseFloat(
-          ethers.formatUnits(borrowedAssets, this.loanDecimals)
-        ),
-        collateralAmount: parseFloat(
-          ethers.formatUnits(collateralAmount, this.collateralDecimals)
-        ),
-        collateralPrice: parseFloat(formattedCollateralValue),
-        borrowPrice: parseFloat(formattedBorrowValue),
-        lltv,
+    // Chain ids whose endpoints were all failing at the last check
+    const rpcDown = this.state.get("rpcDown") || {};
+    if (heads.answering === 0) {
+      console.error(`Every ${chain.name} RPC endpoint is failing`);
+      this.state.set("rpcDown", { ...rpcDown, [chain.id]: true });
+      await this.logRpcAlert(
+        chain,
+        {
+          emoji: "🔌",
+          title: "ALL RPC PROVIDERS FAILING",
+          fields: [["Endpoints", provider.endpoints.length]],
+          sections: [{ lines: heads.endpoints.map(describe) }],
+          footer: "Positions can't be checked until an endpoint answers again.",
+        },
+        "rpc:down",
+        "critical"
+      );
+      return;
+    }
+
+    if (rpcDown[chain.id]) {
+      this.state.set("rpcDown", { ...rpcDown, [chain.id]: false });
+      this.sendAlert({
+        key: "rpc",
+        kind: "recovery",
+        severity: "info",
+        emoji: "✅",
+        title: "RPC BACK",
+        subtitle: chain.name,
+        fields: [
+          [
+            "Answering",
+            `${heads.answering} of ${provider.endpoints.length} endpoints`,
+          ],
+          ["Head block", heads.head],
+        ],
+      });
+    }
+
+    if (heads.lagging.length > 0) {
+      console.log(
+        `${
+          chain.name
+        } RPC endpoints behind by more than ${RPC_MAX_LAG} blocks: ${heads.lagging
+          .map(describe)
+          .join(", ")}`
+      );
+      await this.logRpcAlert(
+        chain,
+        {
+          emoji: "🐢",
+          title: "RPC ENDPOINT LAGGING",
+          fields: [
+            ["Best head", heads.head],
+            ["Max lag", `${RPC_MAX_LAG} blocks`],
+          ],
+          sections: [{ lines: heads.lagging.map(describe) }],
+          footer: "Lagging endpoints are only used when the others fail.",
+        },
+        "rpc:lag",
+        "warning"
+      );
+    }
+
+    // Quorum reads where some endpoint returned a different answer
+    const disagreements = provider.disagreements.splice(0);
+    if (disagreements.length > 0) {
+      await this.logRpcAlert(
+        chain,
+        {
+          emoji: "⚖️",
+          title: "RPC ENDPOINTS DISAGREE",
+          fields: [["Quorum", `${provider.quorum} endpoints`]],
+          sections: [
+            {
+              lines: disagreements.map(
+                (disagreement) =>
+                  `${disagreement.method} at block ${
+                    disagreement.block
+                  }: ${disagreement.disagreed.join(
+                    ", "
+                  )} differ from ${disagreement.agreed.join(", ")}`
+              ),
+            },
+          ],
+          footer:
+            "Reads without a quorum are skipped, so affected positions aren't checked.",
+        },
+        "rpc:quorum",
+        "warning"
+      );
+    }
+  }
+
+  recordError(stage, position) {
+    this.pollErrors++;
+    this.metrics.inc(
+      "poll_errors_total",
+      position ? { stage, position: position.label } : { stage }
+    );
+  }
+
+  updateMetrics(
+    position,
+    data,
+    { currentLtv, liquidationPrice, bufferPercentage }
+  ) {
+    const labels = {
+      position: position.label,
+      chain: position.chain.name,
+      wallet: position.wallet,
+      market: position.marketId,
+    };
+    const { metrics } = this;
+    metrics.set("position_ltv", labels, currentLtv);
+    metrics.set("position_lltv", labels, data.lltv);
+    metrics.set("position_buffer_percent", labels, bufferPercentage);
+    metrics.set("position_collateral", labels, data.collateralAmount);
+    metrics.set("position_debt", labels, data.borrowedAmount);
+    metrics.set("position_collateral_price", labels, data.collateralPrice);
+    metrics.set("position_liquidation_price", labels, liquidationPrice);
+    metrics.set("position_healthy", labels, data.health.healthy ? 1 : 0);
+    metrics.set("position_alert_level", labels, position.alertLevel);
+    metrics.set("position_supplied", labels, data.supply.suppliedAmount);
+    metrics.set("position_withdrawable", labels, data.supply.withdrawable);
+    metrics.set("market_utilization_ratio", labels, data.supply.utilization);
+    metrics.set("market_liquidity", labels, data.supply.liquidity);
+    metrics.set(
+      "oracle_divergence_ratio",
+      labels,
+      data.priceBreakdown.divergence
+    );
+
+    for (const hop of data.priceBreakdown.hops) {
+      if (hop.identity) continue;
+      metrics.set(
+        "oracle_component_value",
+        { ...labels, component: hop.name, description: hop.description },
+        hop.value === null
+          ? null
+          : parseFloat(ethers.formatUnits(hop.value, hop.decimals))
+      );
+    }
+  }
+
+  // RPC and subscription state of one chain for /healthz
+  async checkChainHealth({ chain, provider, subscriber }) {
+    let rpc;
+    try {
+      rpc = {
+        ok: true,
+        blockNumber: await withTimeout(provider.getBlockNumber(), 5000),
       };
     } catch (error) {
-      console.error("Error fetching position data:", error);
-      return null;
+      rpc = { ok: false, error: error.shortMessage || error.message };
     }
+    rpc.endpoints = provider.endpoints.map((endpoint) => ({
+      name: endpoint.name,
+      health: endpoint.health,
+      latencyMs: endpoint.latency,
+      head: endpoint.head,
+      lag: endpoint.lag,
+      benched: endpoint.benchedUntil > Date.now(),
+      lastError: endpoint.lastError,
+    }));
+
+    return {
+      id: chain.id,
+      name: chain.name,
+      rpc,
+      subscriptions: subscriber
+        ? { connected: subscriber.connected, lastBlock: subscriber.lastBlock }
+        : null,
+    };
+  }
+
+  // /healthz: a recent poll without errors and a reachable RPC on every
+  // chain
+  async checkHealth() {
+    const pollAge =
+      this.lastSuccess === null ? null : Date.now() - this.lastSuccess;
+    const chainHealth = await Promise.all(
+      [...this.chains.values()].map((context) => this.checkChainHealth(context))
+    );
+
+    return {
+      ok:
+        chainHealth.every((health) => health.rpc.ok) &&
+        pollAge !== null &&
+        pollAge <= HEALTH_MAX_POLL_AGE,
+      lastSuccessfulPoll:
+        this.lastSuccess === null
+          ? null
+          : new Date(this.lastSuccess).toISOString(),
+      lastPollAgeSeconds: pollAge === null ? null : pollAge / 1000,
+      maxPollAgeSeconds: HEALTH_MAX_POLL_AGE / 1000,
+      lastPollErrors: this.pollErrors,
+      positions: this.positions.length,
+      chains: chainHealth,
+    };
   }
 
-  calculateLtv(data) {
-    if (!data || data.collateralAmount === 0) {
-      return 0;
+  // One line per position, numbered for /threshold. Command replies are
+  // HTML, so labels are escaped.
+  describeLtvs() {
+    return this.positions.map((position, index) => {
+      const status = position.lastStatus;
+      const level = position.levels[position.alertLevel];
+      return `${index + 1}. ${escapeHtml(position.label)}: ${
+        status
+          ? `LTV ${formatLtv(status.ltv)} / ${status.lltv.toFixed(4)}`
+          : "not checked yet"
+      }${level ? ` (${level.name})` : ""}`;
+    });
+  }
+
+  describeStatus(position) {
+    const status = position.lastStatus;
+    const title = `<b>${escapeHtml(position.label)}</b> on ${
+      position.chain.name
+    }`;
+    if (!status) {
+      return `${title}\nnot checked yet`;
     }
 
-    // LTV = (borrowedAmount * borrowPrice) / (collateralAmount * collateralPrice)
-    const ltv =
-      (data.borrowedAmount * data.borrowPrice) /
-      (data.collateralAmount * data.collateralPrice);
+    const { loanSymbol, collateralSymbol } = position;
+    const ltv = `${formatLtv(status.ltv)} / LLTV ${status.lltv.toFixed(4)}`;
+    const collateral = `${status.collateral.toFixed(4)} ${collateralSymbol}`;
+    const debt = `${status.debt.toFixed(2)} ${loanSymbol}`;
+    const liquidation = `${status.liquidationPrice.toFixed(4)} ${loanSymbol}`;
+    const supply =
+      status.supplied > 0
+        ? `\nSupplied ${status.supplied.toFixed(
+            2
+          )} ${loanSymbol}, withdrawable ${status.withdrawable.toFixed(
+            2
+          )}, utilization ${formatPercent(status.utilization)}`
+        : "";
+    const remediation = status.remediation
+      ? `\nTo get back to ${
+          status.remediation.targetLtv
+        } LTV: ${describeRemediation(status.remediation).join(" ")}`
+      : "";
+    return `${title}
+LTV ${ltv}, buffer ${status.buffer.toFixed(2)}%
+Collateral ${collateral}, debt ${debt}
+Price ${status.price.toFixed(4)}, liquidation ${liquidation}
+Liquidation ${formatDays(
+      status.timeToLiquidation
+    )} from interest alone${remediation}${supply}
+Checked ${status.time}`;
+  }
+
+  describeVaults() {
+    const saved = StateStore.peek(path.join(STATE_DIR, "vaultMonitor.json"));
+    const comparison = saved && saved.lastComparison;
+    if (!comparison) {
+      return "No vault data yet, is the vault monitor running?";
+    }
 
-    return ltv;
+    const lines = comparison.vaults.map(
+      (vault) =>
+        `- ${vault.name}: ${formatPercent(vault.netApy)} net APY, $${Math.round(
+          vault.tvlUsd
+        )} TVL`
+    );
+    return `<b>Vaults</b> (${comparison.time})
+${lines.join("\n")}
+Difference: ${formatPercent(comparison.difference)}`;
   }
 
-  calculateLiquidationPrice(data) {
-    if (!data || data.borrowedAmount === 0) {
-      return 0;
+  // STRESS_SHOCKS applied to the last check of a position, and its chance of
+  // liquidation within each of STRESS_HORIZONS. Volatility comes from the
+  // position's price series file or its prices among the recorded `samples`.
+  stressTest(position, samples) {
+    let series = null;
+    if (position.priceSeries) {
+      series = loadPriceSeries(position.priceSeries);
+    } else if (samples) {
+      series = samples.filter(
+        (sample) =>
+          sample.key === position.key && sample.chainId === position.chain.id
+      );
     }
 
-    // Liquidation price = (borrowedAmount * borrowPrice * lltv) / collateralAmount
-    const liquidationPrice =
-      (data.borrowedAmount * data.borrowPrice) /
-      (data.collateralAmount * data.lltv);
+    return stressReport(position.lastStatus, {
+      shocks: STRESS_SHOCKS,
+      quoteFeed: position.oracle.hasQuoteFeed(),
+      series,
+      horizons: STRESS_HORIZONS,
+    });
+  }
+
+  describeStressTest(position, samples) {
+    const status = position.lastStatus;
+    if (!status) {
+      return ["not checked yet"];
+    }
+
+    try {
+      return [
+        `Now: LTV ${formatLtv(status.ltv)} / LLTV ${status.lltv.toFixed(
+          4
+        )}, buffer ${status.buffer.toFixed(2)}%`,
+        ...describeStress(this.stressTest(position, samples)),
+      ];
+    } catch (error) {
+      console.error(`[${position.label}] Stress test failed:`, error);
+      return [`Stress test failed: ${error.message}`];
+    }
+  }
 
-    return liquidationPrice;
+  // Stress test lines for each of `positions`, with the recorded prices of
+  // the volatility window read in one pass over the history
+  async describeStressTests(positions) {
+    let samples = null;
+    const recorded = positions.filter((position) => !position.priceSeries);
+    if (this.history && recorded.length > 0) {
+      try {
+        samples = await this.history.read({
+          key: recorded.map((position) => position.key),
+          from: new Date(Date.now() - STRESS_VOLATILITY_WINDOW * 86400 * 1000),
+        });
+      } catch (error) {
+        console.error("Could not read the recorded history:", error);
+      }
+    }
+    return positions.map((position) =>
+      this.describeStressTest(position, samples)
+    );
   }
 
-  calculateBufferPercentage(currentLtv, lltv) {
-    if (lltv === 0) {
-      return 100; // Avoid division by zero
+  // Status and stress test of every position, once a day after the first
+  // full check past DAILY_SUMMARY_TIME (UTC)
+  async sendDailySummary() {
+    const now = new Date();
+    const [hours, minutes = 0] = DAILY_SUMMARY_TIME.split(":").map(Number);
+    const scheduled = new Date(now);
+    scheduled.setUTCHours(hours, minutes, 0, 0);
+    const today = now.toISOString().slice(0, 10);
+    if (now < scheduled || this.state.get("dailySummaryDate") === today) {
+      return;
     }
+    // One attempt a day, even when paused or undelivered
+    this.state.set("dailySummaryDate", today);
 
-    const bufferPercentage = 100 * (1 - currentLtv / lltv);
-    return bufferPercentage;
+    const stressLines = await this.describeStressTests(this.positions);
+    const message = {
+      key: "summary",
+      kind: "summary",
+      severity: "info",
+      emoji: "📊",
+      title: "DAILY RISK SUMMARY",
+      subtitle: today,
+      sections: this.positions.map((position, index) => ({
+        title: `${position.label} on ${position.chain.name}`,
+        lines: stressLines[index],
+      })),
+      footer:
+        "Probabilities assume a driftless lognormal price at the measured volatility.",
+    };
+    console.log(toText(message));
+    this.sendAlert(message);
   }
 
-  async logAlert(message) {
-    const currentTime = Date.now();
+  // Commands for on-call use from the Telegram app
+  startCommands() {
+    const bot = new TelegramBot({
+      token: process.env.TOKEN,
+      allowedIds: TELEGRAM_ALLOWED_IDS.split(",")
+        .map((id) => id.trim())
+        .filter(Boolean),
+    });
+
+    bot.command("status", "- positions and vaults snapshot", () => {
+      const positions = this.positions.map((position) =>
+        this.describeStatus(position)
+      );
+      const paused = this.isPaused() ? "\n⏸ Alerts are paused" : "";
+
+      return `${positions.join("\n\n")}${paused}\n\n${this.describeVaults()}`;
+    });
 
-    if (currentTime - this.lastAlertTime < this.alertCooldown) {
-      console.log("Alert cooldown in effect");
+    bot.command("ltv", "- current LTV of every position", () =>
+      this.describeLtvs().join("\n")
+    );
+
+    bot.command(
+      "threshold",
+      "&lt;ltv&gt; [position #] [level] - move an alert level",
+      ([value, number, levelName]) => {
+        const ltv = parseFloat(value);
+        if (!(ltv > 0 && ltv < 1)) {
+          return "Usage: /threshold 0.75 [position #] [level name]";
+        }
+
+        const targets = number
+          ? [this.positions[parseInt(number) - 1]]
+          : this.positions;
+        if (targets.some((position) => !position)) {
+          return `No position #${number}, see /ltv`;
+        }
+
+        for (const position of targets) {
+          position.setLevelLtv(ltv, levelName);
+          this.savePosition(position);
+        }
+        return targets
+          .map(
+            (position) =>
+              `${escapeHtml(position.label)}: ${position.levels
+                .map((level) => `${level.name} ${level.ltv}`)
+                .join(", ")}`
+          )
+          .join("\n");
+      }
+    );
+
+    bot.command("pause", "[minutes] - stop sending alerts", ([minutes]) => {
+      const until = minutes ? Date.now() + parseFloat(minutes) * 60000 : null;
+      this.state.set("paused", { until });
+      // The vault monitor reads this too, from the same STATE_DIR
+      return until
+        ? `⏸ Alerts paused until ${new Date(
+            until
+          ).toISOString()}, vault alerts included`
+        : "⏸ Alerts paused until /resume, vault alerts included";
+    });
+
+    bot.command("resume", "- send alerts again", () => {
+      this.state.set("paused", null);
+      return "▶️ Alerts resumed";
+    });
+
+    bot.command(
+      "stress",
+      "[position #] - price shocks and liquidation probability",
+      async ([number]) => {
+        const targets = number
+          ? [this.positions[parseInt(number) - 1]]
+          : this.positions;
+        if (targets.some((position) => !position)) {
+          return `No position #${number}, see /ltv`;
+        }
+
+        const stressLines = await this.describeStressTests(targets);
+        return targets
+          .map((position, index) =>
+            [
+              `<b>${escapeHtml(position.label)}</b> on ${position.chain.name}`,
+              ...stressLines[index],
+            ].join("\n")
+          )
+          .join("\n\n");
+      }
+    );
+
+    bot.command("vaults", "- latest vault APY comparison", () =>
+      this.describeVaults()
+    );
+
+    bot.command("help", "- this list", () => bot.describeCommands().join("\n"));
+
+    bot.start();
+    return bot;
+  }
+
+  // Drops recorded checks older than HISTORY_RETENTION_DAYS, at most once a
+  // day
+  async pruneHistory() {
+    if (Date.now() - this.historyPrunedAt < 86400 * 1000) {
       return;
     }
+    this.historyPrunedAt = Date.now();
+
+    const dropped = await this.history.prune(
+      new Date(Date.now() - HISTORY_RETENTION_DAYS * 86400 * 1000)
+    );
+    if (dropped > 0) {
+      console.log(
+        `Dropped ${dropped} recorded checks older than ${HISTORY_RETENTION_DAYS} days`
+      );
+    }
+  }
+
+  recordHistory(
+    position,
+    data,
+    { currentLtv, liquidationPrice, bufferPercentage }
+  ) {
+    try {
+      this.history.record({
+        time: new Date(data.timestamp * 1000).toISOString(),
+        block: data.blockNumber,
+        chainId: position.chain.id,
+        key: position.key,
+        label: position.label,
+        wallet: position.wallet,
+        marketId: position.marketId,
+        collateral: data.collateralAmount,
+        collateralValue: data.collateralValue,
+        debt: data.borrowedAmount,
+        price: data.collateralPrice,
+        liquidationPrice,
+        ltv: currentLtv,
+        lltv: data.lltv,
+        threshold: position.threshold,
+        buffer: bufferPercentage,
+        healthy: data.health.healthy,
+      });
+    } catch (error) {
+      console.error(`[${position.label}] Could not record history:`, error);
+    }
+  }
 
-    console.log(message);
-    // Send Telegram notification
-    await this.telegram.sendMessage(message);
+  // A position dropped to a lower level, or out of every level
+  async sendRecovery(position, previousLevel, currentLtv, data) {
+    const from = position.levels[previousLevel].name;
+    const to = position.levels[position.alertLevel];
+    console.log(
+      `[${position.label}] Recovered from ${from} to ${to ? to.name : "ok"}`
+    );
 
-    this.lastAlertTime = currentTime;
+    this.sendAlert({
+      key: position.key,
+      kind: "recovery",
+      severity: "info",
+      emoji: "✅",
+      title: to ? `BACK TO ${to.name.toUpperCase()}` : "ALL CLEAR",
+      subtitle: position.label,
+      fields: [
+        ...this.positionFields(position),
+        [
+          "Current LTV",
+          `${formatLtv(currentLtv)}, down from ${from} (${
+            position.levels[previousLevel].ltv
+          })`,
+        ],
+        ["LLTV Threshold", data.lltv.toFixed(4)],
+      ],
+      footer: to
+        ? `Still above ${to.name} (${to.ltv})`
+        : "Below every alert level",
+    });
   }
 
-  async monitorPosition() {
+  // Protection runs that sent a transaction are always reported; dry runs
+  // and runs that couldn't send anything (caps, balances, a transaction
+  // still pending) repeat every check, so they share a cooldown
+  async runProtection(position, data, currentLtv) {
+    const { protection } = position;
+    const { protector } = this.chainOf(position);
+    const mode = protector.dryRun ? " (DRY RUN)" : "";
+    console.log(
+      `[${position.label}] LTV ${formatLtv(currentLtv)} above emergency level ${
+        protection.emergencyLtv
+      }, deleveraging${mode}`
+    );
+
+    const report = await protector.protect(position, data);
+    if (!report) {
+      return;
+    }
+    report.forEach((line) => console.log(`- ${line}`));
+
+    const message = {
+      emoji: "🛡️",
+      title: `AUTOMATIC DELEVERAGE${mode}`,
+      subtitle: position.label,
+      fields: [
+        ...this.positionFields(position),
+        ["Signer", explorerField(position.chain, protector.signer.address)],
+        [
+          "LTV",
+          `${formatLtv(currentLtv)} crossed emergency level ${
+            protection.emergencyLtv
+          }`,
+        ],
+        ["Target LTV", protection.targetLtv],
+      ],
+      sections: [{ lines: report.map((line) => `- ${line}`) }],
+    };
+    await this.logAlert(position, message, "protection", {
+      cooldown: report.transactions.length > 0 ? 0 : this.alertCooldown,
+      severity: "critical",
+    });
+  }
+
+  async checkPosition(position) {
+    const data = await position.getPositionData();
+    await this.checkOracleHealth(position);
+
+    if (!data) {
+      console.log(
+        `[${position.label}] Could not fetch position data, will retry`
+      );
+      this.recordError("position", position);
+      return;
+    }
+
+    const currentLtv = position.calculateLtv(data);
+    const liquidationPrice = position.calculateLiquidationPrice(data);
+    const bufferPercentage = position.calculateBufferPercentage(data);
+
+    // Interest-only projections at constant prices
+    const timeToThreshold = position.calculateTimeToLtv(
+      data,
+      currentLtv,
+      position.threshold
+    );
+    const timeToLiquidation = position.calculateTimeToLtv(
+      data,
+      currentLtv,
+      data.lltv
+    );
+
+    // Format the values for display
+    console.log("-----------------------------------");
     console.log(
-      `Starting Morpho position monitor for address ${WALLET_ADDRESS}`
+      `${new Date().toISOString()} ${position.label} at block ${
+        data.blockNumber
+      }`
     );
     console.log(
-      `LTV alert threshold set to ${LTV_ALERT_THRESHOLD * 100}% of LLTV`
+      `Collateral amount: ${data.collateralAmount.toFixed(4)} ${
+        position.collateralSymbol
+      } (${data.collateralValue.toFixed(2)} ${position.loanSymbol})`
+    );
+    console.log(
+      `Borrowed amount: ${data.borrowedAmount.toFixed(2)} ${
+        position.loanSymbol
+      } (${data.accruedInterest.toFixed(6)} accrued since last update)`
+    );
+    console.log(`Borrow APY: ${(data.borrowApy * 100).toFixed(2)}%`);
+    if (data.supply.shares > 0n) {
+      console.log(
+        `Supplied: ${data.supply.suppliedAmount.toFixed(2)} ${
+          position.loanSymbol
+        } (${data.supply.accruedYield.toFixed(6)} earned since ${
+          data.supply.yieldSince
+        }), supply APY ${(data.supply.supplyApy * 100).toFixed(2)}%`
+      );
+    }
+    console.log(
+      `Market utilization: ${formatPercent(
+        data.supply.utilization
+      )}, liquidity ${data.supply.liquidity.toFixed(2)} ${position.loanSymbol}`
     );
-    console.log(`Checking every ${CHECK_INTERVAL / 1000} seconds`);
 
-    const monitor = async () => {
-      try {
-        const data = await this.getPositionData();
+    console.log(
+      `Current LTV: ${formatLtv(currentLtv)} / LLTV: ${data.lltv.toFixed(4)}`
+    );
+    console.log(`Buffer remaining: ${bufferPercentage.toFixed(2)}%`);
+    console.log(
+      `Morpho health check: ${data.health.healthy ? "healthy" : "LIQUIDATABLE"}`
+    );
+    console.log(
+      `Current price: ${data.collateralPrice.toFixed(4)} ${position.loanSymbol}`
+    );
+    console.log(
+      `Liquidation price: ${liquidationPrice.toFixed(4)} ${position.loanSymbol}`
+    );
+    console.log(
+      `From interest alone: alert threshold ${formatDays(
+        timeToThreshold
+      )}, liquidation ${formatDays(timeToLiquidation)}`
+    );
 
-        if (!data) {
-          console.log("Could not fetch position data, will retry");
-          return;
+    // What it takes to get back to the target LTV
+    const remediation = position.calculateRemediation(data);
+
+    position.lastStatus = {
+      time: new Date(data.timestamp * 1000).toISOString(),
+      ltv: currentLtv,
+      lltv: data.lltv,
+      buffer: bufferPercentage,
+      collateral: data.collateralAmount,
+      debt: data.borrowedAmount,
+      price: data.collateralPrice,
+      liquidationPrice,
+      healthy: data.health.healthy,
+      timeToLiquidation,
+      remediation,
+      supplied: data.supply.suppliedAmount,
+      withdrawable: data.supply.withdrawable,
+      utilization: data.supply.utilization,
+    };
+
+    this.updateMetrics(position, data, {
+      currentLtv,
+      liquidationPrice,
+      bufferPercentage,
+    });
+
+    if (this.history) {
+      this.recordHistory(position, data, {
+        currentLtv,
+        liquidationPrice,
+        bufferPercentage,
+      });
+    }
+
+    if (remediation) {
+      console.log(`To get back to ${remediation.targetLtv} LTV:`);
+      describeRemediation(remediation).forEach((line) =>
+        console.log(`- ${line}`)
+      );
+    }
+
+    await this.checkOracleDivergence(position, data);
+    await this.checkSupply(position, data);
+
+    // Opt-in automatic deleveraging above the emergency LTV
+    const { protector } = this.chainOf(position);
+    if (protector && protector.shouldProtect(position, currentLtv)) {
+      await this.runProtection(position, data, currentLtv);
+    }
+
+    // Move between alert levels, with hysteresis on the way down
+    const previousLevel = position.alertLevel;
+    const levelIndex = nextLevel(
+      position.levels,
+      previousLevel,
+      currentLtv,
+      ALERT_HYSTERESIS
+    );
+    position.alertLevel = levelIndex;
+    const level = position.levels[levelIndex];
+    if (levelIndex !== previousLevel) {
+      this.savePosition(position);
+    }
+
+    if (levelIndex < previousLevel) {
+      await this.sendRecovery(position, previousLevel, currentLtv, data);
+      return;
+    }
+    if (!level) {
+      return;
+    }
+
+    const { collateralSymbol } = position;
+    const escalated = levelIndex > previousLevel;
+    const message = {
+      emoji: "🚨",
+      title: `LIQUIDATION RISK: ${level.name.toUpperCase()}`,
+      subtitle: position.label,
+      fields: [
+        ...(escalated && previousLevel >= 0
+          ? [["Escalated from", position.levels[previousLevel].name]]
+          : []),
+        ...this.positionFields(position),
+        [
+          "Current LTV",
+          `${formatLtv(currentLtv)} (${level.name} at ${level.ltv})`,
+        ],
+        ["LLTV Threshold", data.lltv.toFixed(4)],
+        ["Buffer remaining", `${bufferPercentage.toFixed(2)}%`],
+        [
+          "Current price",
+          `${data.collateralPrice.toFixed(4)} ${position.loanSymbol}`,
+        ],
+        [
+          "Liquidation price",
+          `${liquidationPrice.toFixed(4)} ${position.loanSymbol}`,
+        ],
+        [
+          "Borrowed amount",
+          `${data.borrowedAmount.toFixed(2)} ${position.loanSymbol}`,
+        ],
+        [
+          "Collateral amount",
+          `${data.collateralAmount.toFixed(4)} ${collateralSymbol}`,
+        ],
+        ["Borrow APY", `${(data.borrowApy * 100).toFixed(2)}%`],
+        ["Liquidation", `${formatDays(timeToLiquidation)} from interest alone`],
+      ],
+      sections: [
+        remediation && {
+          title: `To get back to ${remediation.targetLtv} LTV`,
+          lines: describeRemediation(remediation),
+        },
+        {
+          title: "Oracle",
+          lines: OracleResolver.describeHops(data.priceBreakdown),
+        },
+      ].filter(Boolean),
+    };
+
+    // Escalations skip the cooldown, repeats within a level respect it
+    await this.logAlert(position, message, `level:${level.name}`, {
+      cooldown: escalated ? 0 : level.cooldown,
+      severity: level.name,
+    });
+  }
+
+  // A full poll (`keys` null) or a check of the positions in `keys`, started
+  // by the scheduler for the given reasons
+  async runChecks(keys, reasons) {
+    if (keys) {
+      console.log(
+        `Checking ${keys.size} position(s) early: ${reasons.join(", ")}`
+      );
+      for (const position of this.positions) {
+        if (!keys.has(this.positionStateKey(position))) continue;
+        try {
+          await this.checkPosition(position);
+        } catch (error) {
+          console.error(`[${position.label}] Error in monitoring loop:`, error);
+          this.recordError("check", position);
         }
+      }
+      return;
+    }
 
-        const currentLtv = this.calculateLtv(data);
-        const liquidationPrice = this.calculateLiquidationPrice(data);
-        const bufferPercentage = this.calculateBufferPercentage(
-          currentLtv,
-          data.lltv
+    const started = Date.now();
+    this.pollErrors = 0;
+
+    for (const context of this.chains.values()) {
+      try {
+        await this.checkRpc(context);
+      } catch (error) {
+        console.error(
+          `Error checking ${context.chain.name} RPC endpoints:`,
+          error
         );
+        this.recordError("rpc");
+      }
+    }
 
-        // Calculate USD values
-        const collateralValueUSD = data.collateralAmount * data.collateralPrice;
-        const borrowedValueUSD = data.borrowedAmount * data.borrowPrice;
+    // Not awaited: the first scan backfills from the Morpho deployment
+    // block and would hold up the configured positions' checks
+    if (this.discoveryTargets.length > 0 && !this.discovering) {
+      this.discovering = this.discoverPositions()
+        .catch((error) => {
+          console.error("Error discovering markets:", error);
+          this.recordError("discovery");
+        })
+        .finally(() => {
+          this.discovering = null;
+        });
+    }
 
-        // Format the values for display
-        console.log("-----------------------------------");
-        console.log(new Date().toISOString());
-        console.log(
-          `Collateral amount: ${data.collateralAmount.toFixed(4)} ${
-            this.collateralSymbol
-          } ($${collateralValueUSD.toFixed(2)})`
-        );
-        console.log(
-          `Borrowed amount: ${data.borrowedAmount.toFixed(2)} ${
-            this.loanSymbol
-          } ($${borrowedValueUSD.toFixed(2)})`
+    // Positions are checked one after the other to keep RPC load predictable
+    for (const position of this.positions) {
+      try {
+        await this.checkPosition(position);
+      } catch (error) {
+        console.error(`[${position.label}] Error in monitoring loop:`, error);
+        this.recordError("check", position);
+      }
+    }
+
+    this.metrics.inc("polls_total");
+    this.metrics.set(
+      "poll_duration_seconds",
+      {},
+      (Date.now() - started) / 1000
+    );
+    if (this.pollErrors === 0) {
+      this.lastSuccess = Date.now();
+      this.metrics.set(
+        "last_success_timestamp_seconds",
+        {},
+        Math.floor(this.lastSuccess / 1000)
+      );
+    }
+
+    if (DAILY_SUMMARY_TIME) {
+      try {
+        await this.sendDailySummary();
+      } catch (error) {
+        console.error("Error sending the daily risk summary:", error);
+      }
+    }
+
+    if (this.history && HISTORY_RETENTION_DAYS > 0) {
+      try {
+        await this.pruneHistory();
+      } catch (error) {
+        console.error("Error pruning the recorded history:", error);
+      }
+    }
+
+    // Discovered positions, new lenders and newly resolved oracles get
+    // subscribed
+    for (const { chain, subscriber } of this.chains.values()) {
+      if (!subscriber) continue;
+      try {
+        await subscriber.refresh();
+      } catch (error) {
+        console.error(
+          `Error refreshing ${chain.name} event subscriptions:`,
+          error
         );
+      }
+    }
+  }
+
+  // Interval until the next full poll, from the thinnest buffer
+  checkInterval() {
+    const buffers = this.positions
+      .filter((position) => position.lastStatus)
+      .map((position) => position.lastStatus.buffer);
+    const minBuffer = buffers.length > 0 ? Math.min(...buffers) : null;
+    const interval = adaptiveInterval(minBuffer, {
+      interval: CHECK_INTERVAL,
+      minInterval: MIN_CHECK_INTERVAL,
+      fullBuffer: ADAPTIVE_FULL_BUFFER,
+    });
+
+    if (interval !== this.checkIntervalMs) {
+      console.log(
+        `Next checks every ${interval / 1000} seconds${
+          minBuffer === null
+            ? ""
+            : ` (thinnest buffer ${minBuffer.toFixed(2)}%)`
+        }`
+      );
+      this.checkIntervalMs = interval;
+    }
+    this.metrics.set("check_interval_seconds", {}, interval / 1000);
+    return interval;
+  }
+
+  // Scheduler keys of the positions matching `predicate`, with the chain id
+  // like state keys so an event on one chain doesn't check another's
+  positionKeys(predicate) {
+    return new Set(
+      this.positions
+        .filter(predicate)
+        .map((position) => this.positionStateKey(position))
+    );
+  }
+
+  // Addresses of the feeds behind a position's oracle, once resolved
+  positionFeeds(position) {
+    const components = position.oracle && position.oracle.components;
+    if (!components) return [];
+    return [...components.base, ...components.quote]
+      .filter((hop) => hop.kind === "feed" && !hop.identity)
+      .map((hop) => hop.address.toLowerCase());
+  }
 
+  // Positions on a chain
+  chainPositions(chain) {
+    return this.positions.filter((position) => position.chain.id === chain.id);
+  }
+
+  // Wallets watched on a chain, with or without a known market
+  watchedWallets(chain) {
+    const wallets = [...this.positions, ...this.discoveryTargets]
+      .filter(
+        (entry) => (entry.chain ? entry.chain.id : entry.chainId) === chain.id
+      )
+      .map((entry) => entry.wallet);
+    return [...new Set(wallets)];
+  }
+
+  // Ids of the markets watched on a chain
+  watchedMarkets(chain) {
+    return [
+      ...new Set(
+        this.chainPositions(chain).map((position) =>
+          position.marketId.toLowerCase()
+        )
+      ),
+    ].sort();
+  }
+
+  // Markets, oracle feeds and lender wallets the event subscriptions of a
+  // chain cover
+  watchedEvents(chain) {
+    return {
+      markets: this.watchedMarkets(chain),
+      feeds: [
+        ...new Set(
+          this.chainPositions(chain).flatMap((position) =>
+            this.positionFeeds(position)
+          )
+        ),
+      ].sort(),
+      lenders: [
+        ...new Set(
+          this.chainPositions(chain)
+            .filter(
+              (position) =>
+                position.lastStatus && position.lastStatus.supplied > 0
+            )
+            .map((position) => position.wallet.toLowerCase())
+        ),
+      ].sort(),
+    };
+  }
+
+  // Positions with a thin buffer are checked on every block
+  handleBlock(chain, blockNumber) {
+    const keys = this.positionKeys(
+      (position) =>
+        position.chain.id === chain.id &&
+        position.lastStatus &&
+        position.lastStatus.buffer < BLOCK_CHECK_BUFFER
+    );
+    if (keys.size > 0) {
+      this.scheduler.trigger(`${chain.name} block ${blockNumber}`, keys);
+    }
+  }
+
+  handleFeedUpdate(chain, feed, blockNumber) {
+    const keys = this.positionKeys(
+      (position) =>
+        position.chain.id === chain.id &&
+        this.positionFeeds(position).includes(feed)
+    );
+    if (keys.size > 0) {
+      this.scheduler.trigger(
+        `oracle feed ${feed} updated in ${chain.name} block ${blockNumber}`,
+        keys
+      );
+    }
+  }
+
+  // Changes to a watched position, and any liquidation in its market
+  handleMorphoEvent(chain, event) {
+    const marketId = event.marketId.toLowerCase();
+    const account = event.account.toLowerCase();
+    const keys = this.positionKeys(
+      (position) =>
+        position.chain.id === chain.id &&
+        position.marketId.toLowerCase() === marketId &&
+        (event.name === "Liquidate" ||
+          position.wallet.toLowerCase() === account)
+    );
+    if (keys.size > 0) {
+      this.scheduler.trigger(
+        `${event.name} in ${chain.name} block ${event.blockNumber}`,
+        keys
+      );
+    }
+  }
+
+  async monitorPositions() {
+    console.log(
+      `Starting Morpho position monitor for ${this.positions.length} position(s):`
+    );
+    for (const position of this.positions) {
+      console.log(
+        `- ${position.label}: ${position.chain.name} wallet ${
+          position.wallet
+        }, market ${position.marketId}, alert levels ${position.levels
+          .map((level) => `${level.name} ${level.ltv}`)
+          .join(", ")}`
+      );
+    }
+    for (const target of this.discoveryTargets) {
+      console.log(
+        `- Discovering markets for wallet ${target.wallet} on ${
+          chains.get(target.chainId).name
+        }`
+      );
+    }
+    console.log(
+      `Checking every ${CHECK_INTERVAL / 1000} seconds${
+        MIN_CHECK_INTERVAL
+          ? `, down to ${
+              MIN_CHECK_INTERVAL / 1000
+            } seconds as the buffer shrinks below ${ADAPTIVE_FULL_BUFFER}%`
+          : ""
+      }`
+    );
+    for (const { chain, provider } of this.chains.values()) {
+      console.log(
+        `${chain.name} (chain ${chain.id}): Morpho ${
+          chain.morpho
+        }, RPC endpoints ${provider.endpoints
+          .map((endpoint) => endpoint.name)
+          .join(", ")}${
+          provider.quorum > 1
+            ? `, ${provider.quorum} must agree on position and oracle reads`
+            : ""
+        }`
+      );
+      if (chain.wsUrl) {
         console.log(
-          `Current LTV: ${currentLtv.toFixed(4)} / LLTV: ${data.lltv.toFixed(
-            4
-          )}`
+          `${chain.name}: checking early on oracle updates and Morpho events, and every block below a ${BLOCK_CHECK_BUFFER}% buffer`
         );
-        console.log(`Buffer remaining: ${bufferPercentage.toFixed(2)}%`);
-        console.log(`Current price: ${data.collateralPrice.toFixed(4)}`);
-        console.log(`Liquidation price: ${liquidationPrice.toFixed(4)}`);
-
-        // Check if we need to send an alert
-        if (currentLtv >= LTV_ALERT_THRESHOLD) {
-          const message = `
-<b>🚨 LIQUIDATION RISK ALERT 🚨</b>
-
-Current LTV: ${currentLtv.toFixed(4)}
-LLTV Threshold: ${data.lltv.toFixed(4)}
-Buffer remaining: ${bufferPercentage.toFixed(2)}%
-Current price: ${data.collateralPrice.toFixed(4)}
-Liquidation price: ${liquidationPrice.toFixed(4)}
-Borrowed amount: ${data.borrowedAmount.toFixed(2)} ${this.loanSymbol}
-Collateral amount: ${data.collateralAmount.toFixed(4)} ${this.collateralSymbol}
-          `;
-
-          this.logAlert(message);
-        }
-      } catch (error) {
-        console.error("Error in monitoring loop:", error);
       }
-    };
+    }
+    console.log(
+      `Watching Liquidate events every ${
+        LIQUIDATION_POLL_INTERVAL / 1000
+      } seconds${
+        MARKET_LIQUIDATION_ALERTS
+          ? `, reporting others above ${LARGE_LIQUIDATION_THRESHOLD}`
+          : ""
+      }`
+    );
+    if (AUTHORIZATION_ALERTS) {
+      console.log(
+        `Watching Morpho authorizations of every wallet, expecting ${
+          AUTHORIZED_OPERATORS.length > 0
+            ? AUTHORIZED_OPERATORS.join(", ")
+            : "no operators"
+        }`
+      );
+    }
+    if (PROTECTION_ENABLED) {
+      const { address } = new ethers.Wallet(PROTECTION_PRIVATE_KEY);
+      console.log(
+        `Automatic deleveraging enabled for signer ${address}${
+          PROTECTION_DRY_RUN ? " (dry run)" : ""
+        }`
+      );
+    }
 
-    // Initial check
-    await monitor();
+    if (TELEGRAM_COMMANDS) {
+      this.startCommands();
+    }
+
+    if (METRICS_PORT) {
+      startMetricsServer({
+        port: METRICS_PORT,
+        metrics: this.metrics,
+        checkHealth: () => this.checkHealth(),
+      });
+    }
+
+    // Initial check, then every checkInterval()
+    await this.scheduler.start();
+
+    for (const context of this.chains.values()) {
+      const { chain } = context;
+
+      // Liquidations are polled more often than positions
+      await context.liquidations.start(
+        () => this.watchedMarkets(chain),
+        (event) => this.handleLiquidation(context, event)
+      );
+
+      if (context.authorizations) {
+        await context.authorizations.start(
+          () => this.watchedWallets(chain),
+          (finding) => this.handleAuthorization(context, finding)
+        );
+      }
 
-    // Set up interval for regular checks
-    setInterval(monitor, CHECK_INTERVAL);
+      if (chain.wsUrl) {
+        context.subscriber = new EventSubscriber({
+          url: chain.wsUrl,
+          morpho: context.morpho,
+          onBlock: (blockNumber) => this.handleBlock(chain, blockNumber),
+          onFeedUpdate: (feed, blockNumber) =>
+            this.handleFeedUpdate(chain, feed, blockNumber),
+          onMorphoEvent: (event) => this.handleMorphoEvent(chain, event),
+        });
+        await context.subscriber.start(() => this.watchedEvents(chain));
+      }
+    }
   }
 }
 
 // Run the monitor
 (async () => {
-  const monitor = new MorphoMonitor();
-  await monitor.monitorPosition();
-})();
\ No newline at end of file
+  const monitor = new MorphoMonitor(loadPositionConfigs());
+  await monitor.monitorPositions();
+})();
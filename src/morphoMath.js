@@ -0,0 +1,156 @@
+// BigInt ports of the Morpho Blue math libraries (MathLib, SharesMathLib and
+// MorphoBalancesLib), so off-chain numbers round exactly like the contract.
+
+const WAD = 10n ** 18n;
+
+// ConstantsLib liquidation incentive parameters
+const MAX_LIQUIDATION_INCENTIVE_FACTOR = 1150000000000000000n; // 1.15
+const LIQUIDATION_CURSOR = 300000000000000000n; // 0.3
+
+// SharesMathLib virtual shares and assets
+const VIRTUAL_SHARES = 1000000n; // 1e6
+const VIRTUAL_ASSETS = 1n;
+
+function mulDivDown(x, y, d) {
+  return (x * y) / d;
+}
+
+// (a * b + denominator - 1) / denominator
+function mulDivUp(x, y, d) {
+  return (x * y + (d - 1n)) / d;
+}
+
+function wMulDown(x, y) {
+  return mulDivDown(x, y, WAD);
+}
+
+function wDivDown(x, y) {
+  return mulDivDown(x, WAD, y);
+}
+
+function wDivUp(x, y) {
+  return mulDivUp(x, WAD, y);
+}
+
+// Third-order Taylor expansion of e^(x * n) - 1, as used by Morpho to
+// compound interest
+function wTaylorCompounded(x, n) {
+  const firstTerm = x * n;
+  const secondTerm = mulDivDown(firstTerm, firstTerm, 2n * WAD);
+  const thirdTerm = mulDivDown(secondTerm, firstTerm, 3n * WAD);
+
+  return firstTerm + secondTerm + thirdTerm;
+}
+
+function toSharesDown(assets, totalAssets, totalShares) {
+  return mulDivDown(
+    assets,
+    totalShares + VIRTUAL_SHARES,
+    totalAssets + VIRTUAL_ASSETS
+  );
+}
+
+function toSharesUp(assets, totalAssets, totalShares) {
+  return mulDivUp(
+    assets,
+    totalShares + VIRTUAL_SHARES,
+    totalAssets + VIRTUAL_ASSETS
+  );
+}
+
+function toAssetsDown(shares, totalAssets, totalShares) {
+  return mulDivDown(
+    shares,
+    totalAssets + VIRTUAL_ASSETS,
+    totalShares + VIRTUAL_SHARES
+  );
+}
+
+function toAssetsUp(shares, totalAssets, totalShares) {
+  return mulDivUp(
+    shares,
+    totalAssets + VIRTUAL_ASSETS,
+    totalShares + VIRTUAL_SHARES
+  );
+}
+
+// Market totals as of `timestamp`, including interest accrued since
+// `market.lastUpdate` at `borrowRate` (per second, WAD-scaled). Mirrors
+// MorphoBalancesLib.expectedMarketBalances.
+function expectedMarketBalances(market, borrowRate, timestamp) {
+  let totalSupplyAssets = BigInt(market.totalSupplyAssets);
+  let totalSupplyShares = BigInt(market.totalSupplyShares);
+  let totalBorrowAssets = BigInt(market.totalBorrowAssets);
+  const totalBorrowShares = BigInt(market.totalBorrowShares);
+  const elapsed = BigInt(timestamp) - BigInt(market.lastUpdate);
+
+  if (elapsed > 0n && totalBorrowAssets !== 0n && borrowRate > 0n) {
+    const interest = wMulDown(
+      totalBorrowAssets,
+      wTaylorCompounded(borrowRate, elapsed)
+    );
+    totalBorrowAssets += interest;
+    totalSupplyAssets += interest;
+
+    const fee = BigInt(market.fee);
+    if (fee !== 0n) {
+      const feeAmount = wMulDown(interest, fee);
+      // The fee recipient's shares are minted against the supply before the
+      // fee is added
+      const feeShares = toSharesDown(
+        feeAmount,
+        totalSupplyAssets - feeAmount,
+        totalSupplyShares
+      );
+      totalSupplyShares += feeShares;
+    }
+  }
+
+  return {
+    totalSupplyAssets,
+    totalSupplyShares,
+    totalBorrowAssets,
+    totalBorrowShares,
+  };
+}
+
+// Share of the supplied assets that is borrowed (WAD), 0 without supply
+function utilization(totalBorrowAssets, totalSupplyAssets) {
+  if (totalSupplyAssets === 0n) return 0n;
+  return wDivDown(totalBorrowAssets, totalSupplyAssets);
+}
+
+// Per-second rate (WAD) lenders earn when borrowers pay `borrowRate`: the
+// interest is spread over the whole supply and the market fee comes off it
+function supplyRate(borrowRate, marketUtilization, fee) {
+  return wMulDown(wMulDown(borrowRate, marketUtilization), WAD - BigInt(fee));
+}
+
+// Collateral a liquidator receives per unit of debt repaid (WAD), as in
+// Morpho's liquidate(): min(1.15, 1 / (1 - 0.3 * (1 - lltv)))
+function liquidationIncentiveFactor(lltv) {
+  const factor = wDivDown(WAD, WAD - wMulDown(LIQUIDATION_CURSOR, WAD - lltv));
+  return factor < MAX_LIQUIDATION_INCENTIVE_FACTOR
+    ? factor
+    : MAX_LIQUIDATION_INCENTIVE_FACTOR;
+}
+
+module.exports = {
+  WAD,
+  VIRTUAL_SHARES,
+  VIRTUAL_ASSETS,
+  mulDivDown,
+  mulDivUp,
+  wMulDown,
+  wDivDown,
+  wDivUp,
+  wTaylorCompounded,
+  toSharesDown,
+  toSharesUp,
+  toAssetsDown,
+  toAssetsUp,
+  expectedMarketBalances,
+  utilization,
+  liquidationIncentiveFactor,
+  supplyRate,
+};
@@ -0,0 +1,99 @@
+const { ethers } = require("ethers");
+const { criticalRead, snapshotBlock } = require("./rpc");
+
+// Multicall3 has the same address on Base, Ethereum and most other chains
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) view returns ((bool success, bytes returnData)[] returnData)",
+  "function getCurrentBlockTimestamp() view returns (uint256 timestamp)",
+];
+
+// Revert data decoded with the target's ABI: the reason string, the custom
+// error (e.g. Chronicle's NotTolled) or the raw selector
+function describeRevert(contract, data) {
+  if (!data || data === "0x") {
+    return "call reverted";
+  }
+  try {
+    const error = contract.interface.parseError(data);
+    if (error && error.name === "Error") return error.args[0];
+    if (error) return `${error.name}(${error.args.join(", ")})`;
+  } catch (parseError) {
+    // Not in the ABI
+  }
+  return `call reverted (${data.slice(0, 10)})`;
+}
+
+// Reads every { contract, method, args } in one Multicall3 eth_call, all at
+// the same block: `blockTag` when given, otherwise the latest block (a few
+// blocks back in quorum mode, see rpc.js). Calls fail individually, so a
+// reverting feed doesn't lose the rest of the snapshot.
+//
+// Resolves to { blockNumber, timestamp, results }, with each result either
+// { value } or { error } in the order of `calls`.
+async function readSnapshot(
+  provider,
+  calls,
+  { blockTag, address = MULTICALL3_ADDRESS } = {}
+) {
+  const multicall = new ethers.Contract(address, MULTICALL3_ABI, provider);
+  const blockNumber =
+    blockTag === undefined ? await snapshotBlock(provider) : blockTag;
+
+  const targets = await Promise.all(
+    calls.map((call) => call.contract.getAddress())
+  );
+  const encoded = [
+    {
+      target: address,
+      allowFailure: false,
+      callData: multicall.interface.encodeFunctionData(
+        "getCurrentBlockTimestamp"
+      ),
+    },
+    ...calls.map((call, index) => ({
+      target: targets[index],
+      allowFailure: true,
+      callData: call.contract.interface.encodeFunctionData(
+        call.method,
+        call.args || []
+      ),
+    })),
+  ];
+
+  const [timestampResult, ...returned] = await criticalRead(
+    multicall,
+    "aggregate3",
+    [encoded],
+    { blockTag: blockNumber }
+  );
+  const [timestamp] = multicall.interface.decodeFunctionResult(
+    "getCurrentBlockTimestamp",
+    timestampResult.returnData
+  );
+
+  const results = returned.map(({ success, returnData }, index) => {
+    const { contract, method } = calls[index];
+    if (!success) {
+      return { error: describeRevert(contract, returnData) };
+    }
+    try {
+      const fragment = contract.interface.getFunction(method);
+      const decoded = contract.interface.decodeFunctionResult(
+        fragment,
+        returnData
+      );
+      return { value: fragment.outputs.length === 1 ? decoded[0] : decoded };
+    } catch (error) {
+      // An address without code answers with empty data
+      return { error: `undecodable answer to ${method}()` };
+    }
+  });
+
+  return { blockNumber, timestamp: Number(timestamp), results };
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  readSnapshot,
+};
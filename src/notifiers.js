@@ -0,0 +1,272 @@
+const nodemailer = require("nodemailer");
+const TelegramNotifier = require("./telegram");
+const {
+  severityRank,
+  toHtml,
+  toText,
+  toMarkdown,
+  toSlack,
+} = require("./messages");
+
+// Every backend has `send(message)` taking a structured message (see
+// messages.js) and resolving to true once delivered.
+
+async function postJson(name, url, body, headers = {}) {
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      console.error(
+        `${name} webhook answered ${response.status}: ${await response.text()}`
+      );
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error(`Error sending ${name} message:`, error.message);
+    return false;
+  }
+}
+
+class DiscordNotifier {
+  constructor({ url }) {
+    this.url = url;
+  }
+
+  send(message) {
+    // Discord rejects content over 2000 characters
+    return postJson("Discord", this.url, {
+      content: toMarkdown(message).slice(0, 2000),
+    });
+  }
+}
+
+class SlackNotifier {
+  constructor({ url }) {
+    this.url = url;
+  }
+
+  send(message) {
+    return postJson("Slack", this.url, { text: toSlack(message) });
+  }
+}
+
+// Plain JSON POST of the structured message, plus a text rendering
+class WebhookNotifier {
+  constructor({ url, headers }) {
+    this.url = url;
+    this.headers = headers || {};
+  }
+
+  send(message) {
+    return postJson(
+      "JSON",
+      this.url,
+      { ...message, text: toText(message), time: new Date().toISOString() },
+      this.headers
+    );
+  }
+}
+
+class EmailNotifier {
+  constructor({ host, port, secure, user, pass, from, to }) {
+    this.from = from || user;
+    this.to = to;
+    this.transport = nodemailer.createTransport({
+      host,
+      port: port || 587,
+      secure: Boolean(secure),
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  async send(message) {
+    try {
+      await this.transport.sendMail({
+        from: this.from,
+        to: this.to,
+        subject: `[${message.severity || "info"}] ${message.title}${
+          message.subtitle ? ` - ${message.subtitle}` : ""
+        }`,
+        text: toText(message),
+        html: `<pre style="font-family: inherit">${toHtml(message)}</pre>`,
+      });
+      return true;
+    } catch (error) {
+      console.error("Error sending email:", error.message);
+      return false;
+    }
+  }
+}
+
+const BACKENDS = {
+  telegram: (options) =>
+    new TelegramNotifier(
+      options.token || process.env.TOKEN,
+      options.chat || process.env.CHANNEL,
+      options
+    ),
+  discord: (options) => new DiscordNotifier(options),
+  slack: (options) => new SlackNotifier(options),
+  email: (options) => new EmailNotifier(options),
+  webhook: (options) => new WebhookNotifier(options),
+};
+
+// Undelivered alerts listed in one delivery failure report
+const MAX_UNDELIVERED = 20;
+
+// Sends each message to every channel whose route accepts it. A route can
+// limit a channel to some `sources` (monitor, vaultMonitor), some `kinds`
+// ("level" matches every "level:*" kind) and a `minSeverity`.
+//
+// Failed deliveries are kept (in `state` when given, so they survive a
+// restart) and reported in a separate "delivery" alert as soon as a message
+// gets through again, on any channel. With a single channel that is the
+// channel that failed, once it works again.
+class NotificationRouter {
+  constructor(channels, { state } = {}) {
+    this.channels = channels;
+    this.state = state;
+    this.undelivered = state ? state.get("undeliveredAlerts", []) : [];
+  }
+
+  static matches(route, message) {
+    if (!route) return true;
+    if (route.sources && !route.sources.includes(message.source)) {
+      return false;
+    }
+    if (
+      route.kinds &&
+      !route.kinds.some(
+        (kind) => message.kind === kind || message.kind.startsWith(`${kind}:`)
+      )
+    ) {
+      return false;
+    }
+    if (
+      route.minSeverity &&
+      severityRank(message.severity) < severityRank(route.minSeverity)
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  // Names of the channels that took the message and of those that failed
+  async send(message) {
+    const targets = this.channels.filter((channel) =>
+      NotificationRouter.matches(channel.route, message)
+    );
+    const results = await Promise.all(
+      targets.map(async (channel) => {
+        let delivered = false;
+        try {
+          delivered = await channel.notifier.send(message);
+        } catch (error) {
+          console.error(`Error sending to ${channel.name}:`, error.message);
+        }
+        if (!delivered) {
+          console.error(`Notification to ${channel.name} failed`);
+        }
+        return { name: channel.name, delivered };
+      })
+    );
+    const delivered = results.filter((r) => r.delivered).map((r) => r.name);
+    const failed = results.filter((r) => !r.delivered).map((r) => r.name);
+
+    // Reports about failed deliveries aren't reported again
+    if (message.kind !== "delivery") {
+      if (failed.length > 0) {
+        this.setUndelivered([
+          ...this.undelivered,
+          {
+            time: new Date().toISOString(),
+            source: message.source,
+            kind: message.kind,
+            title: message.subtitle
+              ? `${message.title} - ${message.subtitle}`
+              : message.title,
+            channels: failed,
+          },
+        ]);
+      }
+      if (delivered.length > 0 && this.undelivered.length > 0) {
+        await this.reportUndelivered(message.source);
+      }
+    }
+
+    return { delivered, failed };
+  }
+
+  setUndelivered(undelivered) {
+    this.undelivered = undelivered.slice(-MAX_UNDELIVERED);
+    if (this.state) this.state.set("undeliveredAlerts", this.undelivered);
+  }
+
+  async reportUndelivered(source) {
+    const undelivered = this.undelivered;
+    const { delivered } = await this.send({
+      source,
+      kind: "delivery",
+      severity: "warning",
+      emoji: "📭",
+      title: "ALERT DELIVERY FAILED",
+      fields: [["Undelivered alerts", undelivered.length]],
+      sections: [
+        {
+          lines: undelivered.map(
+            (alert) =>
+              `${alert.time} ${alert.title} (${alert.channels.join(", ")})`
+          ),
+        },
+      ],
+      footer:
+        "Check the failing channels. Risk and oracle alerts no channel accepted are sent again on the next check.",
+    });
+    if (delivered.length > 0) {
+      // Keep anything that failed while the report was being sent
+      this.setUndelivered(this.undelivered.slice(undelivered.length));
+    }
+  }
+}
+
+// Builds the router from NOTIFIERS, a JSON array of
+// { type, name?, route?, ...options }. Without it, everything goes to the
+// TOKEN/CHANNEL Telegram chat as before.
+function createNotifiers(config, { state } = {}) {
+  const entries = config ? JSON.parse(config) : [{ type: "telegram" }];
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("NOTIFIERS must be a non-empty JSON array");
+  }
+
+  return new NotificationRouter(
+    entries.map((entry, index) => {
+      const create = BACKENDS[entry.type];
+      if (!create) {
+        throw new Error(
+          `Notifier #${index + 1}: unknown type ${
+            entry.type
+          }, use one of ${Object.keys(BACKENDS).join(", ")}`
+        );
+      }
+      return {
+        name: entry.name || entry.type,
+        route: entry.route,
+        notifier: create(entry),
+      };
+    }),
+    { state }
+  );
+}
+
+module.exports = {
+  NotificationRouter,
+  DiscordNotifier,
+  SlackNotifier,
+  EmailNotifier,
+  WebhookNotifier,
+  createNotifiers,
+};
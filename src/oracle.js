@@ -0,0 +1,444 @@
+const { ethers } = require("ethers");
+const { readSnapshot } = require("./multicall");
+
+// Import contract ABIs
+const MARKET_ORACLE_ABI = require("../contract_abi/market_oracle_abi.json");
+const COLLATERAL_ORACLE_ABI = require("../contract_abi/collateral_oracle_abi.json");
+const BORROW_ORACLE_ABI = require("../contract_abi/debt_oracle_abi.json");
+const VAULT_ABI = [
+  "function asset() view returns (address)",
+  "function convertToAssets(uint256 shares) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+
+// Feeds behind a MorphoChainlinkOracleV2 are Chainlink-compatible; the
+// shipped feed ABIs cover both Chainlink aggregators and Chronicle oracles
+// (including Chronicle's custom errors such as NotTolled).
+const FEED_ABI = [...COLLATERAL_ORACLE_ABI, ...BORROW_ORACLE_ABI].filter(
+  (fragment, index, all) =>
+    (fragment.type === "function" || fragment.type === "error") &&
+    all.findIndex(
+      (other) =>
+        other.type === fragment.type &&
+        other.name === fragment.name &&
+        other.inputs.length === fragment.inputs.length
+    ) === index
+);
+
+// Used when a feed has no heartbeat of its own
+const DEFAULT_HEARTBEAT = 86400;
+
+// Seconds as a short duration, e.g. "2h 5m"
+function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+// |computed - price| / price as a float, null when either side is missing
+function relativeDifference(price, computedPrice) {
+  if (price === null || computedPrice === null) return null;
+  if (price === 0n) return computedPrice === 0n ? 0 : Infinity;
+
+  const difference =
+    computedPrice > price ? computedPrice - price : price - computedPrice;
+  // Keep 12 significant decimals before leaving bigint land
+  return Number((difference * 10n ** 12n) / price) / 1e12;
+}
+
+// Morpho prices are collateral-in-loan-token scaled by 1e36
+const ORACLE_PRICE_SCALE = 10n ** 36n;
+
+// Resolves the price of a MorphoChainlinkOracleV2 from its components:
+//
+//   price = SCALE_FACTOR * baseVault(sample) * baseFeed1 * baseFeed2
+//                        / (quoteVault(sample) * quoteFeed1 * quoteFeed2)
+//
+// Zero-address vaults and feeds are identity. Oracles that don't expose
+// these components are read through price() only.
+//
+// Every feed is also checked for age against its heartbeat (`heartbeats`
+// maps lowercase feed addresses to seconds), and reverts or zero answers are
+// reported as unreadable.
+class OracleResolver {
+  constructor(address, provider, { heartbeats = {}, defaultHeartbeat } = {}) {
+    this.address = address;
+    this.provider = provider;
+    this.heartbeats = heartbeats;
+    this.defaultHeartbeat = defaultHeartbeat || DEFAULT_HEARTBEAT;
+    this.contract = new ethers.Contract(address, MARKET_ORACLE_ABI, provider);
+    this.components = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    let components;
+    try {
+      components = await Promise.all([
+        this.contract.BASE_VAULT(),
+        this.contract.BASE_VAULT_CONVERSION_SAMPLE(),
+        this.contract.BASE_FEED_1(),
+        this.contract.BASE_FEED_2(),
+        this.contract.QUOTE_VAULT(),
+        this.contract.QUOTE_VAULT_CONVERSION_SAMPLE(),
+        this.contract.QUOTE_FEED_1(),
+        this.contract.QUOTE_FEED_2(),
+        this.contract.SCALE_FACTOR(),
+      ]);
+    } catch (error) {
+      // Network errors are retried on the next read, reverts mean the oracle
+      // has no such components
+      if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") {
+        throw error;
+      }
+      console.log(
+        `Oracle ${this.address} is not a MorphoChainlinkOracleV2, using price() only`
+      );
+      this.components = null;
+      this.initialized = true;
+      return;
+    }
+
+    const [
+      baseVault,
+      baseVaultSample,
+      baseFeed1,
+      baseFeed2,
+      quoteVault,
+      quoteVaultSample,
+      quoteFeed1,
+      quoteFeed2,
+      scaleFactor,
+    ] = components;
+
+    this.components = {
+      scaleFactor,
+      base: [
+        await this.initVault("base vault", baseVault, baseVaultSample),
+        await this.initFeed("base feed 1", baseFeed1),
+        await this.initFeed("base feed 2", baseFeed2),
+      ],
+      quote: [
+        await this.initVault("quote vault", quoteVault, quoteVaultSample),
+        await this.initFeed("quote feed 1", quoteFeed1),
+        await this.initFeed("quote feed 2", quoteFeed2),
+      ],
+    };
+
+    this.initialized = true;
+  }
+
+  async initVault(name, address, sample) {
+    const hop = { name, kind: "vault", address, sample, identity: false };
+
+    if (address === ethers.ZeroAddress) {
+      hop.identity = true;
+      hop.description = "none";
+      return hop;
+    }
+
+    hop.contract = new ethers.Contract(address, VAULT_ABI, this.provider);
+    const [symbol, decimals, asset] = await Promise.all([
+      hop.contract.symbol(),
+      hop.contract.decimals(),
+      hop.contract.asset(),
+    ]);
+    const assetContract = new ethers.Contract(asset, VAULT_ABI, this.provider);
+    const [assetSymbol, assetDecimals] = await Promise.all([
+      assetContract.symbol(),
+      assetContract.decimals(),
+    ]);
+
+    hop.description = symbol;
+    hop.assetSymbol = assetSymbol;
+    hop.sampleDecimals = decimals;
+    hop.decimals = assetDecimals;
+    return hop;
+  }
+
+  async initFeed(name, address) {
+    const hop = { name, kind: "feed", address, identity: false };
+
+    if (address === ethers.ZeroAddress) {
+      hop.identity = true;
+      hop.description = "none";
+      return hop;
+    }
+
+    hop.contract = new ethers.Contract(address, FEED_ABI, this.provider);
+    hop.decimals = await hop.contract.decimals();
+    hop.heartbeat =
+      this.heartbeats[address.toLowerCase()] || this.defaultHeartbeat;
+
+    // Chronicle oracles report their own age through tryReadWithAge(),
+    // which reverts with NotTolled when our reader isn't allowed; other
+    // feeds are read through latestRoundData()
+    try {
+      await hop.contract.tryReadWithAge();
+      hop.chronicle = true;
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") {
+        throw error;
+      }
+      hop.chronicle = Boolean(error.revert && error.revert.name === "NotTolled");
+    }
+
+    // Chainlink feeds have description(), Chronicle oracles have wat()
+    try {
+      hop.description = await hop.contract.description();
+    } catch (error) {
+      try {
+        hop.description = ethers.decodeBytes32String(await hop.contract.wat());
+      } catch (innerError) {
+        hop.description = address;
+      }
+    }
+    return hop;
+  }
+
+  // Call reading one component the same way the oracle does: vaults
+  // convert their sample to assets, feeds use latestRoundData().answer, the
+  // same value Chronicle returns from tryReadWithAge() along with its age.
+  // Null for identity components.
+  hopCall(hop) {
+    if (hop.identity) return null;
+    if (hop.kind === "vault") {
+      return {
+        contract: hop.contract,
+        method: "convertToAssets",
+        args: [hop.sample],
+      };
+    }
+    return {
+      contract: hop.contract,
+      method: hop.chronicle ? "tryReadWithAge" : "latestRoundData",
+    };
+  }
+
+  // Component value from its hopCall() result. Feeds also get their age at
+  // block time `now` checked against their heartbeat.
+  async parseHop(hop, result, { now, blockNumber }) {
+    if (hop.identity) {
+      return { ...hop, value: hop.kind === "vault" ? hop.sample : 1n };
+    }
+
+    // Chronicle reverts with NotTolled when our reader isn't allowed
+    if (result.error) {
+      return { ...hop, value: null, error: result.error };
+    }
+    if (hop.kind === "vault") {
+      return { ...hop, value: result.value };
+    }
+
+    if (hop.chronicle) {
+      // The age is the timestamp of the current value
+      const [ok, value, age] = result.value;
+      if (!ok) {
+        return { ...hop, value: null, error: "no valid value" };
+      }
+      return this.withAge({ ...hop, value }, age, now);
+    }
+
+    const roundData = result.value;
+    const value = roundData.answer;
+    if (value < 0n) {
+      return { ...hop, value: null, error: `negative answer ${value}` };
+    }
+
+    let updatedAt = roundData.updatedAt;
+    if (updatedAt === 0n) {
+      // Feeds without round data timestamps may expose latestTimestamp()
+      try {
+        updatedAt = await hop.contract.latestTimestamp({
+          blockTag: blockNumber,
+        });
+      } catch (error) {
+        updatedAt = 0n;
+      }
+    }
+
+    return this.withAge({ ...hop, value }, updatedAt, now);
+  }
+
+  // Feed value with its update time, age and staleness
+  withAge(hop, updatedAt, now) {
+    const parsed = { ...hop, updatedAt: Number(updatedAt) };
+    if (parsed.value === 0n) {
+      parsed.error = "zero answer";
+    }
+    if (parsed.updatedAt > 0) {
+      parsed.age = Math.max(0, now - parsed.updatedAt);
+      parsed.stale = parsed.age > hop.heartbeat;
+    } else {
+      parsed.error = parsed.error || "no update timestamp";
+    }
+    return parsed;
+  }
+
+  // Whether the loan token is priced by a quote feed, so a depeg moves the
+  // oracle price. Null when the components are unknown (price() only).
+  hasQuoteFeed() {
+    if (!this.components) return null;
+    return this.components.quote.some(
+      (hop) => hop.kind === "feed" && !hop.identity
+    );
+  }
+
+  // Calls for a price read, to batch with other reads (see multicall.js):
+  // price() first, then one per component that isn't an identity
+  priceCalls() {
+    const hops = this.components
+      ? [...this.components.base, ...this.components.quote]
+      : [];
+    return [
+      { contract: this.contract, method: "price" },
+      ...hops.map((hop) => this.hopCall(hop)).filter(Boolean),
+    ];
+  }
+
+  // Reads the price on its own, all components at one block
+  async getPrice() {
+    if (!this.initialized) {
+      await this.init();
+    }
+    const snapshot = await readSnapshot(this.provider, this.priceCalls());
+    return this.fromResults(snapshot.results, snapshot);
+  }
+
+  // Returns oracle.price() together with the price recomputed from every
+  // component and the value read for each hop, from the results of
+  // priceCalls() read at `snapshot` ({ blockNumber, timestamp })
+  async fromResults(results, { blockNumber, timestamp }) {
+    const [priceResult, ...hopResults] = results;
+
+    // price() reverts when a feed is unreadable, in which case Morpho can't
+    // price the market either
+    const price = priceResult.error ? null : priceResult.value;
+    const priceError = priceResult.error || null;
+
+    if (!this.components) {
+      return {
+        price,
+        priceError,
+        computedPrice: null,
+        hops: [],
+        matches: null,
+        divergence: null,
+        issues: priceError
+          ? [{ name: "oracle.price()", detail: priceError }]
+          : [],
+      };
+    }
+
+    // Identity components have no call and no result
+    const parse = (hop) =>
+      this.parseHop(hop, hop.identity ? null : hopResults.shift(), {
+        now: timestamp,
+        blockNumber,
+      });
+    const base = [];
+    for (const hop of this.components.base) base.push(await parse(hop));
+    const quote = [];
+    for (const hop of this.components.quote) quote.push(await parse(hop));
+    const hops = [...base, ...quote];
+
+    let computedPrice = null;
+    if (hops.every((hop) => hop.value !== null)) {
+      const numerator = base.reduce((acc, hop) => acc * hop.value, 1n);
+      const denominator = quote.reduce((acc, hop) => acc * hop.value, 1n);
+      computedPrice =
+        denominator === 0n
+          ? null
+          : (this.components.scaleFactor * numerator) / denominator;
+    }
+
+    return {
+      price,
+      priceError,
+      computedPrice,
+      scaleFactor: this.components.scaleFactor,
+      hops,
+      matches:
+        computedPrice === null || price === null
+          ? null
+          : computedPrice === price,
+      divergence: relativeDifference(price, computedPrice),
+      issues: OracleResolver.findIssues(hops, priceError),
+    };
+  }
+
+  // Stale or unreadable components, one entry each
+  static findIssues(hops, priceError) {
+    const issues = [];
+
+    if (priceError) {
+      issues.push({ name: "oracle.price()", detail: priceError });
+    }
+    for (const hop of hops) {
+      if (hop.identity) continue;
+
+      if (hop.error) {
+        issues.push({
+          name: hop.name,
+          address: hop.address,
+          description: hop.description,
+          detail: `unreadable: ${hop.error}`,
+        });
+      } else if (hop.stale) {
+        issues.push({
+          name: hop.name,
+          address: hop.address,
+          description: hop.description,
+          detail: `stale: updated ${formatAge(
+            hop.age
+          )} ago, heartbeat ${formatAge(hop.heartbeat)}`,
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  // One line per hop plus the oracle price, for logs and alerts
+  static describeHops(result) {
+    const lines = result.hops.map((hop) => {
+      if (hop.identity) {
+        return `${hop.name}: none`;
+      }
+      if (hop.value === null) {
+        return `${hop.name}: ${hop.description} unreadable (${hop.error})`;
+      }
+      const value = ethers.formatUnits(hop.value, hop.decimals);
+      if (hop.kind === "vault") {
+        const sample = ethers.formatUnits(hop.sample, hop.sampleDecimals);
+        return `${hop.name}: ${sample} ${hop.description} = ${value} ${hop.assetSymbol}`;
+      }
+      const age = hop.age !== undefined ? `, ${formatAge(hop.age)} old` : "";
+      return `${hop.name}: ${hop.description} = ${value}${age}`;
+    });
+
+    if (result.price === null) {
+      lines.push(`oracle.price(): reverted (${result.priceError})`);
+      return lines;
+    }
+
+    const check =
+      result.matches === null
+        ? "not recomputed"
+        : result.matches
+        ? "matches components"
+        : `components give ${result.computedPrice}, ${(
+            result.divergence * 100
+          ).toFixed(4)}% apart`;
+    lines.push(`oracle.price(): ${result.price} (${check})`);
+    return lines;
+  }
+}
+
+module.exports = OracleResolver;
+module.exports.ORACLE_PRICE_SCALE = ORACLE_PRICE_SCALE;
@@ -0,0 +1,548 @@
+const { ethers } = require("ethers");
+const OracleResolver = require("./oracle");
+const {
+  toAssetsUp,
+  toAssetsDown,
+  expectedMarketBalances,
+  utilization,
+  supplyRate,
+} = require("./morphoMath");
+const { calculateRemediation } = require("./remediation");
+const { checkHealth } = require("./health");
+const { readSnapshot } = require("./multicall");
+
+const TOKENS_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+];
+const IRM_ABI = [
+  "function borrowRateView((address loanToken, address collateralToken, address oracle, address irm, uint256 lltv) marketParams, (uint128 totalSupplyAssets, uint128 totalSupplyShares, uint128 totalBorrowAssets, uint128 totalBorrowShares, uint128 lastUpdate, uint128 fee) market) view returns (uint256)",
+];
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// Oracle divergence readings kept per position for the status output
+const DIVERGENCE_HISTORY_SIZE = 48;
+
+// Shorten an address or market id for display
+function shortHex(value) {
+  if (!value || value.length <= 12) return value;
+  return `${value.slice(0, 6)}…${value.slice(-4)}`;
+}
+
+// A single (wallet, market) borrow position watched by the monitor.
+// Market parameters, oracle wiring and token metadata are cached per
+// position, together with its own alert cooldown state.
+class MorphoPosition {
+  constructor(
+    {
+      wallet,
+      marketId,
+      threshold,
+      levels,
+      targetLtv,
+      utilizationThreshold,
+      label,
+      protection,
+      priceSeries,
+    },
+    { provider, morpho, chain, oracleOptions }
+  ) {
+    this.wallet = wallet;
+    this.marketId = marketId;
+    this.threshold = threshold;
+    // Alert levels, lowest LTV first, and the index of the current one
+    // (-1 when below every level)
+    this.levels = levels;
+    this.alertLevel = -1;
+    // Level LTVs changed at runtime (e.g. from Telegram), by level name
+    this.levelOverrides = {};
+    // Summary of the latest successful check, for status commands
+    this.lastStatus = null;
+    this.targetLtv = targetLtv;
+    // Automatic deleveraging settings, see protection.js
+    this.protection = protection;
+    // Price series file the stress test estimates volatility from, instead
+    // of the recorded history
+    this.priceSeries = priceSeries || null;
+    this.label = label || `${shortHex(wallet)} @ ${shortHex(marketId)}`;
+    this.hasCustomLabel = Boolean(label);
+
+    this.provider = provider;
+    this.morphoContract = morpho;
+    this.oracleOptions = oracleOptions;
+    // Registry entry of the chain the position is on (see chains.js)
+    this.chain = chain;
+
+    // Lender side: alert when the market's utilization reaches this
+    this.utilizationThreshold = utilizationThreshold;
+    // Supply shares and market totals at the last check and the yield earned
+    // since the supply was first seen, persisted by the monitor
+    this.supplyTracking = null;
+
+    // Last alert time per alert kind, for cooldowns
+    this.lastAlertTimes = {};
+    this.marketParams = null;
+    this.loanDecimals = null;
+    this.collateralDecimals = null;
+    this.loanSymbol = null;
+    this.collateralSymbol = null;
+    this.oracle = null;
+    this.irmContract = null;
+    // Result of the latest oracle read, including stale/unreadable feeds
+    this.oracleHealth = null;
+    // Recent { time, divergence } readings between oracle.price() and the
+    // price recomputed from its feeds
+    this.divergenceHistory = [];
+  }
+
+  // Moves the `name` level (the lowest one by default) to `ltv`, keeping the
+  // position in the same named level
+  setLevelLtv(ltv, name = this.levels[0].name) {
+    if (!this.levels.some((level) => level.name === name)) {
+      throw new Error(`Unknown alert level ${name}`);
+    }
+
+    const current = this.levels[this.alertLevel];
+    this.levels = this.levels
+      .map((level) => (level.name === name ? { ...level, ltv } : level))
+      .sort((a, b) => a.ltv - b.ltv);
+    this.alertLevel = current
+      ? this.levels.findIndex((level) => level.name === current.name)
+      : -1;
+    this.threshold = this.levels[0].ltv;
+    this.levelOverrides[name] = ltv;
+  }
+
+  // Unique key for this position
+  get key() {
+    return `${this.wallet.toLowerCase()}:${this.marketId.toLowerCase()}`;
+  }
+
+  async init() {
+    this.marketParams = await this.morphoContract.idToMarketParams(
+      this.marketId
+    );
+
+    // Resolve the market oracle and every feed behind it
+    this.oracle = new OracleResolver(
+      this.marketParams.oracle,
+      this.provider,
+      this.oracleOptions
+    );
+    await this.oracle.init();
+
+    // Markets without an IRM accrue no interest
+    if (this.marketParams.irm !== ethers.ZeroAddress) {
+      this.irmContract = new ethers.Contract(
+        this.marketParams.irm,
+        IRM_ABI,
+        this.provider
+      );
+    }
+
+    // Get token information
+    const loanTokenContract = new ethers.Contract(
+      this.marketParams.loanToken,
+      TOKENS_ABI,
+      this.provider
+    );
+    const collateralTokenContract = new ethers.Contract(
+      this.marketParams.collateralToken,
+      TOKENS_ABI,
+      this.provider
+    );
+
+    [
+      this.loanDecimals,
+      this.collateralDecimals,
+      this.loanSymbol,
+      this.collateralSymbol,
+    ] = await Promise.all([
+      loanTokenContract.decimals(),
+      collateralTokenContract.decimals(),
+      loanTokenContract.symbol(),
+      collateralTokenContract.symbol(),
+    ]);
+
+    if (!this.hasCustomLabel) {
+      this.label = `${shortHex(this.wallet)} ${this.collateralSymbol}/${
+        this.loanSymbol
+      }`;
+    }
+
+    console.log(`[${this.label}] Market Parameters:`, {
+      loanToken: this.marketParams.loanToken,
+      collateralToken: this.marketParams.collateralToken,
+      oracle: this.marketParams.oracle,
+      irm: this.marketParams.irm,
+      lltv: ethers.formatEther(this.marketParams.lltv),
+    });
+  }
+
+  async getPositionData() {
+    try {
+      // Get market parameters first
+      if (!this.marketParams) {
+        await this.init();
+      }
+      if (!this.oracle.initialized) {
+        await this.oracle.init();
+      }
+
+      // Position, market and every oracle component in one Multicall3 call,
+      // so they all come from the same block
+      const snapshot = await readSnapshot(
+        this.provider,
+        [
+          {
+            contract: this.morphoContract,
+            method: "position",
+            args: [this.marketId, this.wallet],
+          },
+          {
+            contract: this.morphoContract,
+            method: "market",
+            args: [this.marketId],
+          },
+          ...this.oracle.priceCalls(),
+        ],
+        { address: this.chain.multicall }
+      );
+      const [positionResult, marketResult, ...priceResults] = snapshot.results;
+      if (positionResult.error || marketResult.error) {
+        throw new Error(
+          `Morpho read failed: ${positionResult.error || marketResult.error}`
+        );
+      }
+      const position = positionResult.value;
+      const borrowShares = position.borrowShares;
+      const collateralAmount = position.collateral;
+      const marketData = marketResult.value;
+
+      // Current borrow rate per second (WAD) from the market's IRM, at the
+      // same block. Decoded results are frozen and ethers can't encode them
+      // as tuples, hence toArray().
+      const borrowRate = this.irmContract
+        ? await this.irmContract.borrowRateView(
+            this.marketParams.toArray(),
+            marketData.toArray(),
+            { blockTag: snapshot.blockNumber }
+          )
+        : 0n;
+
+      // Market totals as of now, with interest accrued since lastUpdate, the
+      // way Morpho's expectedBorrowAssets computes them
+      const expectedMarket = expectedMarketBalances(
+        marketData,
+        borrowRate,
+        snapshot.timestamp
+      );
+
+      // Convert borrowShares to borrowedAssets using SharesMathLib's toAssetsUp
+      const borrowedAssets = toAssetsUp(
+        borrowShares,
+        expectedMarket.totalBorrowAssets,
+        expectedMarket.totalBorrowShares
+      );
+      const storedBorrowedAssets = toAssetsUp(
+        borrowShares,
+        marketData.totalBorrowAssets,
+        marketData.totalBorrowShares
+      );
+
+      const supply = this.getSupplyData(
+        position.supplyShares,
+        marketData,
+        expectedMarket,
+        borrowRate,
+        snapshot.timestamp
+      );
+
+      // Get the market oracle price (1e36-scaled) and each of its hops
+      this.oracleHealth = null;
+      const oraclePrice = await this.oracle.fromResults(priceResults, snapshot);
+      this.oracleHealth = oraclePrice;
+
+      console.log(`[${this.label}] Oracle price breakdown:`);
+      OracleResolver.describeHops(oraclePrice).forEach((line) =>
+        console.log(`- ${line}`)
+      );
+
+      if (oraclePrice.price === null) {
+        throw new Error(`oracle.price() reverted: ${oraclePrice.priceError}`);
+      }
+
+      // Compare with the price recomputed from the components
+      console.log(`[${this.label}] Price Comparison:`, {
+        marketOraclePrice: oraclePrice.price.toString(),
+        calculatedPrice:
+          oraclePrice.computedPrice === null
+            ? "N/A"
+            : oraclePrice.computedPrice.toString(),
+        matches: oraclePrice.matches,
+      });
+      this.recordDivergence(oraclePrice.divergence);
+
+      // Raw values for exact math
+      const raw = {
+        collateral: collateralAmount,
+        price: oraclePrice.price,
+        borrowShares,
+        borrowedAssets,
+        totalBorrowAssets: expectedMarket.totalBorrowAssets,
+        totalBorrowShares: expectedMarket.totalBorrowShares,
+        lltv: this.marketParams.lltv,
+      };
+
+      // Morpho's own health check on the raw values; collateral value is
+      // collateral * price / ORACLE_PRICE_SCALE in loan token units
+      const health = checkHealth(raw);
+
+      // Collateral price in loan tokens per whole collateral token
+      const collateralPrice = this.toDisplayPrice(oraclePrice.price);
+
+      // Use LLTV from market parameters
+      const lltv = parseFloat(ethers.formatEther(this.marketParams.lltv));
+
+      // Per-second rate as a float; continuous compounding gives the APY
+      const ratePerSecond = parseFloat(ethers.formatUnits(borrowRate, 18));
+
+      return {
+        borrowedAmount: parseFloat(
+          ethers.formatUnits(borrowedAssets, this.loanDecimals)
+        ),
+        collateralAmount: parseFloat(
+          ethers.formatUnits(collateralAmount, this.collateralDecimals)
+        ),
+        accruedInterest: parseFloat(
+          ethers.formatUnits(
+            borrowedAssets - storedBorrowedAssets,
+            this.loanDecimals
+          )
+        ),
+        borrowRate: ratePerSecond,
+        borrowApy: Math.expm1(ratePerSecond * SECONDS_PER_YEAR),
+        collateralValue: parseFloat(
+          ethers.formatUnits(health.collateralValue, this.loanDecimals)
+        ),
+        collateralPrice,
+        oraclePrice: oraclePrice.price,
+        priceBreakdown: oraclePrice,
+        lltv,
+        supply,
+        raw,
+        health,
+        blockNumber: snapshot.blockNumber,
+        timestamp: snapshot.timestamp,
+      };
+    } catch (error) {
+      console.error(`[${this.label}] Error fetching position data:`, error);
+      return null;
+    }
+  }
+
+  // Lender side of the position: supplyShares in assets (rounded down like
+  // Morpho's expectedSupplyAssets), the market's utilization and what could
+  // be withdrawn right now, which is capped by the assets nobody borrowed
+  getSupplyData(shares, marketData, expectedMarket, borrowRate, timestamp) {
+    const { totalSupplyAssets, totalSupplyShares, totalBorrowAssets } =
+      expectedMarket;
+    const suppliedAssets = toAssetsDown(
+      shares,
+      totalSupplyAssets,
+      totalSupplyShares
+    );
+    const liquidity = totalSupplyAssets - totalBorrowAssets;
+    const withdrawable =
+      suppliedAssets < liquidity ? suppliedAssets : liquidity;
+    const marketUtilization = utilization(totalBorrowAssets, totalSupplyAssets);
+    const ratePerSecond = parseFloat(
+      ethers.formatUnits(
+        supplyRate(borrowRate, marketUtilization, marketData.fee),
+        18
+      )
+    );
+    const earned = this.trackYield(shares, expectedMarket, timestamp);
+    const toLoan = (assets) =>
+      parseFloat(ethers.formatUnits(assets, this.loanDecimals));
+
+    return {
+      shares,
+      suppliedAmount: toLoan(suppliedAssets),
+      withdrawable: toLoan(withdrawable),
+      liquidity: toLoan(liquidity),
+      utilization: parseFloat(ethers.formatEther(marketUtilization)),
+      supplyApy: Math.expm1(ratePerSecond * SECONDS_PER_YEAR),
+      accruedYield: toLoan(earned),
+      yieldSince: this.supplyTracking ? this.supplyTracking.since : null,
+      raw: { suppliedAssets, liquidity, withdrawable },
+    };
+  }
+
+  // Yield earned since the supply was first seen: every check adds what the
+  // shares held at the previous check gained in value since, so deposits and
+  // withdrawals don't count as yield. Resets when the supply is withdrawn.
+  trackYield(shares, market, timestamp) {
+    const previous = this.supplyTracking;
+    if (shares === 0n) {
+      this.supplyTracking = null;
+      return 0n;
+    }
+
+    let earned = previous ? BigInt(previous.earned) : 0n;
+    if (previous) {
+      const previousShares = BigInt(previous.shares);
+      earned +=
+        toAssetsDown(
+          previousShares,
+          market.totalSupplyAssets,
+          market.totalSupplyShares
+        ) -
+        toAssetsDown(
+          previousShares,
+          BigInt(previous.totalSupplyAssets),
+          BigInt(previous.totalSupplyShares)
+        );
+    }
+
+    this.supplyTracking = {
+      shares: shares.toString(),
+      totalSupplyAssets: market.totalSupplyAssets.toString(),
+      totalSupplyShares: market.totalSupplyShares.toString(),
+      earned: earned.toString(),
+      since: previous
+        ? previous.since
+        : new Date(timestamp * 1000).toISOString(),
+    };
+    return earned;
+  }
+
+  recordDivergence(divergence) {
+    if (divergence === null) return;
+
+    this.divergenceHistory.push({ time: Date.now(), divergence });
+    if (this.divergenceHistory.length > DIVERGENCE_HISTORY_SIZE) {
+      this.divergenceHistory.shift();
+    }
+  }
+
+  // Summary of recent divergence readings against `tolerance`
+  getDivergenceSummary(tolerance) {
+    const history = this.divergenceHistory;
+    if (history.length === 0) {
+      return null;
+    }
+
+    const breaches = history.filter((entry) => entry.divergence > tolerance);
+    return {
+      latest: history[history.length - 1].divergence,
+      max: Math.max(...history.map((entry) => entry.divergence)),
+      checks: history.length,
+      breaches,
+    };
+  }
+
+  // Seconds until the LTV reaches `targetLtv` from interest alone, at constant
+  // prices and the current borrow rate: debt grows as e^(rate * t). Null
+  // without debt, there is nothing to accrue on.
+  calculateTimeToLtv(data, currentLtv, targetLtv) {
+    if (!data) {
+      return Infinity;
+    }
+    if (currentLtv === 0) {
+      return null;
+    }
+    if (currentLtv >= targetLtv) {
+      return 0;
+    }
+    if (data.borrowRate <= 0) {
+      return Infinity;
+    }
+
+    return Math.log(targetLtv / currentLtv) / data.borrowRate;
+  }
+
+  // Exact amounts to repay and/or supply to get back to the target LTV,
+  // formatted in token units, or null when already at or below it
+  calculateRemediation(data) {
+    if (!data || !this.targetLtv) {
+      return null;
+    }
+
+    const remediation = calculateRemediation(
+      data.raw,
+      // toFixed keeps small values out of exponent notation
+      ethers.parseEther(this.targetLtv.toFixed(18))
+    );
+    if (!remediation) {
+      return null;
+    }
+
+    const formatLoan = (amount) =>
+      `${ethers.formatUnits(amount, this.loanDecimals)} ${this.loanSymbol}`;
+    const formatCollateral = (amount) =>
+      `${ethers.formatUnits(amount, this.collateralDecimals)} ${
+        this.collateralSymbol
+      }`;
+
+    return {
+      targetLtv: this.targetLtv,
+      repay: formatLoan(remediation.repayAssets),
+      supplyCollateral:
+        remediation.addCollateral === null
+          ? null
+          : formatCollateral(remediation.addCollateral),
+      mixed: remediation.mixed && {
+        repay: formatLoan(remediation.mixed.repayAssets),
+        supplyCollateral: formatCollateral(remediation.mixed.addCollateral),
+      },
+      amounts: remediation,
+    };
+  }
+
+  // LTV from the exact health check: debt rounded up over collateral value
+  calculateLtv(data) {
+    if (!data) {
+      return 0;
+    }
+    if (data.health.ltv === null) {
+      return Infinity;
+    }
+
+    return parseFloat(ethers.formatEther(data.health.ltv));
+  }
+
+  // Lowest collateral price, in loan token per collateral token, at which
+  // Morpho still considers the position healthy
+  calculateLiquidationPrice(data) {
+    if (!data || data.health.liquidationPrice === null) {
+      return 0;
+    }
+
+    return this.toDisplayPrice(data.health.liquidationPrice);
+  }
+
+  // How far the collateral price can fall before liquidation, in percent
+  calculateBufferPercentage(data) {
+    if (!data) {
+      return 0;
+    }
+
+    return parseFloat(ethers.formatEther(data.health.buffer * 100n));
+  }
+
+  // Oracle price (1e36-scaled, raw token units) as loan tokens per whole
+  // collateral token
+  toDisplayPrice(price) {
+    return parseFloat(
+      ethers.formatUnits(
+        price * 10n ** BigInt(this.collateralDecimals),
+        36 + Number(this.loanDecimals)
+      )
+    );
+  }
+}
+
+module.exports = MorphoPosition;
+module.exports.shortHex = shortHex;
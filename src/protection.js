@@ -0,0 +1,404 @@
+const { ethers } = require("ethers");
+const { calculateRemediation, positionAfterRepay } = require("./remediation");
+
+const ERC20_ABI = [
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function balanceOf(address account) view returns (uint256)",
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Order in which the two actions are tried for each strategy
+const STRATEGIES = {
+  "repay-first": ["repay", "collateral"],
+  "collateral-first": ["collateral", "repay"],
+  repay: ["repay"],
+  collateral: ["collateral"],
+};
+
+// Waits for `tx` to be mined. ethers throws CALL_EXCEPTION for a reverted
+// transaction rather than returning a failed receipt; it is rethrown with the
+// revert reason and `reverted` set. Other errors (a timeout) pass through.
+async function waitMined(tx, timeout, description) {
+  try {
+    return await tx.wait(1, timeout);
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION") throw error;
+    const reverted = new Error(
+      `${description} transaction ${tx.hash} reverted: ${
+        error.reason || error.shortMessage
+      }`
+    );
+    reverted.reverted = true;
+    throw reverted;
+  }
+}
+
+// Opt-in automatic deleveraging. When a position's LTV crosses its emergency
+// level, the signer repays debt and/or supplies collateral on the position's
+// behalf, from the signer's own balances, to bring it back to a target LTV.
+//
+// Morpho lets anyone repay or supply collateral onBehalf of another account,
+// so the signer needs no authorization from the watched wallet. Spending is
+// capped per action and per rolling 24h, per token, and counted as soon as a
+// transaction is sent. A position with a sent transaction that hasn't been
+// mined yet is left alone until it is. In dry-run mode every transaction is
+// only simulated with staticCall.
+class PositionProtector {
+  constructor({
+    signer,
+    morpho,
+    dryRun = true,
+    txTimeout = 120000,
+    state,
+    stateKey = "protectionSpending",
+    pendingStateKey = "protectionPending",
+  }) {
+    this.signer = signer;
+    this.morphoContract = morpho.connect(signer);
+    this.dryRun = dryRun;
+    this.txTimeout = txTimeout;
+    // Optional StateStore, so daily caps survive restarts (one key per chain)
+    this.state = state;
+    this.stateKey = stateKey;
+    // Token address => [{ time, amount }] spent in the last 24h
+    this.spending = new Map(
+      Object.entries(state ? state.get(stateKey, {}) : {}).map(
+        ([token, entries]) => [
+          token,
+          entries.map((entry) => ({
+            time: entry.time,
+            amount: BigInt(entry.amount),
+          })),
+        ]
+      )
+    );
+    // Positions with an action in flight
+    this.busy = new Set();
+    // Position key => { hash, description, time } of a sent transaction not
+    // known to be mined, saved under `pendingStateKey`
+    this.pendingStateKey = pendingStateKey;
+    this.pending = (state && state.get(pendingStateKey)) || {};
+  }
+
+  shouldProtect(position, currentLtv) {
+    const settings = position.protection;
+    return Boolean(
+      settings && settings.enabled && currentLtv >= settings.emergencyLtv
+    );
+  }
+
+  spentToday(token) {
+    const cutoff = Date.now() - DAY;
+    const entries = (this.spending.get(token) || []).filter(
+      (entry) => entry.time > cutoff
+    );
+    this.spending.set(token, entries);
+    return entries.reduce((total, entry) => total + entry.amount, 0n);
+  }
+
+  // Returns the entry, to drop with forgetSpend() if the transaction reverts
+  recordSpend(token, amount) {
+    const entry = { time: Date.now(), amount };
+    const entries = this.spending.get(token) || [];
+    entries.push(entry);
+    this.spending.set(token, entries);
+    this.saveSpending();
+    return entry;
+  }
+
+  forgetSpend(token, entry) {
+    const entries = this.spending.get(token) || [];
+    this.spending.set(
+      token,
+      entries.filter((other) => other !== entry)
+    );
+    this.saveSpending();
+  }
+
+  saveSpending() {
+    if (this.state) {
+      this.state.set(
+        this.stateKey,
+        Object.fromEntries(
+          [...this.spending].map(([key, list]) => [
+            key,
+            list.map((entry) => ({
+              time: entry.time,
+              amount: entry.amount.toString(),
+            })),
+          ])
+        )
+      );
+    }
+  }
+
+  setPending(key, pending) {
+    if (pending) {
+      this.pending[key] = pending;
+    } else {
+      delete this.pending[key];
+    }
+    if (this.state) {
+      this.state.set(this.pendingStateKey, this.pending);
+    }
+  }
+
+  // Whether the position still has a sent transaction waiting to be mined.
+  // Mined and dropped transactions are cleared.
+  async isPending(position, report) {
+    const pending = this.pending[position.key];
+    if (!pending) {
+      return false;
+    }
+
+    const { provider } = this.signer;
+    const receipt = await provider.getTransactionReceipt(pending.hash);
+    if (receipt) {
+      this.setPending(position.key, null);
+      return false;
+    }
+    if (!(await provider.getTransaction(pending.hash))) {
+      console.log(
+        `[${position.label}] ${pending.description} ${pending.hash} was dropped`
+      );
+      this.setPending(position.key, null);
+      return false;
+    }
+
+    report.push(
+      `waiting for ${pending.description} ${pending.hash}, sent ${new Date(
+        pending.time
+      ).toISOString()}`
+    );
+    return true;
+  }
+
+  // Largest amount allowed by the wallet balance and both caps. Caps are in
+  // token units; an unset cap means no limit from that cap.
+  async spendable(token, decimals, perAction, perDay) {
+    const tokenContract = new ethers.Contract(token, ERC20_ABI, this.signer);
+    let limit = await tokenContract.balanceOf(this.signer.address);
+
+    if (perAction) {
+      const cap = ethers.parseUnits(perAction.toString(), decimals);
+      limit = limit < cap ? limit : cap;
+    }
+    if (perDay) {
+      const cap = ethers.parseUnits(perDay.toString(), decimals);
+      const left = cap - this.spentToday(token);
+      limit = limit < left ? limit : left;
+    }
+
+    return limit > 0n ? limit : 0n;
+  }
+
+  // Approves Morpho for `amount` when the current allowance is short
+  async ensureAllowance(token, amount, report) {
+    const tokenContract = new ethers.Contract(token, ERC20_ABI, this.signer);
+    const spender = await this.morphoContract.getAddress();
+    const allowance = await tokenContract.allowance(
+      this.signer.address,
+      spender
+    );
+
+    if (allowance >= amount) {
+      return true;
+    }
+
+    if (this.dryRun) {
+      await tokenContract.approve.staticCall(spender, amount);
+      report.push(`approve ${token} for ${amount} (simulated)`);
+      // Without the allowance on-chain the main call can't be simulated
+      return false;
+    }
+
+    const tx = await tokenContract.approve(spender, amount);
+    report.push(`approve ${token}: ${tx.hash}`);
+    await waitMined(tx, this.txTimeout, "approve");
+    return true;
+  }
+
+  // Sends (or simulates) one Morpho call spending `amount` of `token` for
+  // `position`, and records it in the report. `args` must hold plain values:
+  // decoded results such as marketParams are frozen and ethers can't encode
+  // them as tuples, hence toArray(). The spend counts and the position stays
+  // pending from the moment the transaction is sent, so one that is mined
+  // after the wait times out is not sent again.
+  async execute(
+    position,
+    description,
+    method,
+    args,
+    { token, amount },
+    report
+  ) {
+    if (this.dryRun) {
+      await this.morphoContract[method].staticCall(...args);
+      report.push(`${description} (simulated, not sent)`);
+      return null;
+    }
+
+    const tx = await this.morphoContract[method](...args);
+    const spend = this.recordSpend(token, amount);
+    this.setPending(position.key, {
+      hash: tx.hash,
+      description,
+      time: Date.now(),
+    });
+    report.push(`${description}: ${tx.hash}`);
+    report.transactions.push(tx.hash);
+
+    try {
+      const receipt = await waitMined(tx, this.txTimeout, method);
+      this.setPending(position.key, null);
+      return receipt;
+    } catch (error) {
+      // A reverted transaction spent nothing; one still unmined stays pending
+      if (error.reverted) {
+        this.setPending(position.key, null);
+        this.forgetSpend(token, spend);
+      }
+      throw error;
+    }
+  }
+
+  async repay(position, amount, report) {
+    const { loanToken } = position.marketParams;
+    const allowed = await this.ensureAllowance(loanToken, amount, report);
+    if (!allowed) {
+      report.push(
+        `repay ${ethers.formatUnits(amount, position.loanDecimals)} ${
+          position.loanSymbol
+        } not simulated: allowance missing`
+      );
+      return;
+    }
+
+    await this.execute(
+      position,
+      `repay ${ethers.formatUnits(amount, position.loanDecimals)} ${
+        position.loanSymbol
+      }`,
+      "repay",
+      [position.marketParams.toArray(), amount, 0n, position.wallet, "0x"],
+      { token: loanToken, amount },
+      report
+    );
+  }
+
+  async supplyCollateral(position, amount, report) {
+    const { collateralToken } = position.marketParams;
+    const allowed = await this.ensureAllowance(collateralToken, amount, report);
+    if (!allowed) {
+      report.push(
+        `supplyCollateral ${ethers.formatUnits(
+          amount,
+          position.collateralDecimals
+        )} ${position.collateralSymbol} not simulated: allowance missing`
+      );
+      return;
+    }
+
+    await this.execute(
+      position,
+      `supplyCollateral ${ethers.formatUnits(
+        amount,
+        position.collateralDecimals
+      )} ${position.collateralSymbol}`,
+      "supplyCollateral",
+      [position.marketParams.toArray(), amount, position.wallet, "0x"],
+      { token: collateralToken, amount },
+      report
+    );
+  }
+
+  // Brings `position` back towards its protection target LTV. Returns the
+  // list of steps taken (or simulated), or null when nothing was needed.
+  // `report.transactions` holds the hashes of the Morpho calls sent.
+  async protect(position, data) {
+    const settings = position.protection;
+    if (this.busy.has(position.key)) {
+      console.log(`[${position.label}] Protection already in progress`);
+      return null;
+    }
+
+    // toFixed keeps small values out of exponent notation
+    const targetLtv = ethers.parseEther(settings.targetLtv.toFixed(18));
+    if (!calculateRemediation(data.raw, targetLtv)) {
+      return null;
+    }
+
+    this.busy.add(position.key);
+    const report = [];
+    report.transactions = [];
+    try {
+      if (await this.isPending(position, report)) {
+        return report;
+      }
+
+      let state = data.raw;
+
+      for (const action of STRATEGIES[settings.strategy] ||
+        STRATEGIES["repay-first"]) {
+        const needed = calculateRemediation(state, targetLtv);
+        if (!needed) break;
+
+        if (action === "repay") {
+          const amount = await this.spendable(
+            position.marketParams.loanToken,
+            position.loanDecimals,
+            settings.maxRepayPerAction,
+            settings.maxRepayPerDay
+          );
+          const repayAmount =
+            amount < needed.repayAssets ? amount : needed.repayAssets;
+          if (repayAmount === 0n) {
+            report.push("repay skipped: no balance or cap left");
+            continue;
+          }
+
+          await this.repay(position, repayAmount, report);
+          state = positionAfterRepay(state, repayAmount);
+        } else {
+          const amount = await this.spendable(
+            position.marketParams.collateralToken,
+            position.collateralDecimals,
+            settings.maxCollateralPerAction,
+            settings.maxCollateralPerDay
+          );
+          const required = needed.addCollateral || 0n;
+          const supplyAmount = amount < required ? amount : required;
+          if (supplyAmount === 0n) {
+            report.push("supplyCollateral skipped: no balance or cap left");
+            continue;
+          }
+
+          await this.supplyCollateral(position, supplyAmount, report);
+          state = { ...state, collateral: state.collateral + supplyAmount };
+        }
+      }
+
+      const remaining = calculateRemediation(state, targetLtv);
+      report.push(
+        remaining
+          ? `target ${
+              settings.targetLtv
+            } LTV not reached, still short by ${ethers.formatUnits(
+              remaining.repayAssets,
+              position.loanDecimals
+            )} ${position.loanSymbol} of repayment`
+          : `target ${settings.targetLtv} LTV reached`
+      );
+    } catch (error) {
+      report.push(`failed: ${error.shortMessage || error.message}`);
+    } finally {
+      this.busy.delete(position.key);
+    }
+
+    return report;
+  }
+}
+
+module.exports = PositionProtector;
@@ -0,0 +1,179 @@
+const {
+  WAD,
+  mulDivDown,
+  mulDivUp,
+  wMulDown,
+  wDivUp,
+  toSharesDown,
+  toAssetsUp,
+} = require("./morphoMath");
+const { ORACLE_PRICE_SCALE } = require("./oracle");
+
+// Rounding in the share math can leave a result a few wei short of the
+// target; amounts are bumped until they verify, at most this many times.
+const MAX_ADJUSTMENTS = 16;
+
+// Debt left after repaying `assets`, as Morpho computes it: repaid shares
+// round down and the remaining shares convert back rounding up
+function debtAfterRepay(position, assets) {
+  const { borrowShares, totalBorrowAssets, totalBorrowShares } = position;
+  if (assets === 0n) {
+    return toAssetsUp(borrowShares, totalBorrowAssets, totalBorrowShares);
+  }
+
+  const repaidShares = toSharesDown(
+    assets,
+    totalBorrowAssets,
+    totalBorrowShares
+  );
+  if (repaidShares >= borrowShares) {
+    return 0n;
+  }
+
+  return toAssetsUp(
+    borrowShares - repaidShares,
+    totalBorrowAssets - assets,
+    totalBorrowShares - repaidShares
+  );
+}
+
+// Position state after repaying `assets`, with the market totals updated the
+// same way Morpho's repay() does
+function positionAfterRepay(position, assets) {
+  const { borrowShares, totalBorrowAssets, totalBorrowShares } = position;
+  const repaidShares = toSharesDown(
+    assets,
+    totalBorrowAssets,
+    totalBorrowShares
+  );
+  const burnedShares =
+    repaidShares > borrowShares ? borrowShares : repaidShares;
+
+  return {
+    ...position,
+    borrowShares: borrowShares - burnedShares,
+    totalBorrowAssets:
+      totalBorrowAssets > assets ? totalBorrowAssets - assets : 0n,
+    totalBorrowShares: totalBorrowShares - burnedShares,
+  };
+}
+
+// Largest debt the collateral allows at `targetLtv` (WAD)
+function maxDebtAt(collateral, price, targetLtv) {
+  return wMulDown(mulDivDown(collateral, price, ORACLE_PRICE_SCALE), targetLtv);
+}
+
+function meetsTarget(position, targetLtv, repayAssets, addCollateral) {
+  return (
+    debtAfterRepay(position, repayAssets) <=
+    maxDebtAt(position.collateral + addCollateral, position.price, targetLtv)
+  );
+}
+
+// Increase `step`'s amounts by one unit until the target is met
+function settle(position, targetLtv, amounts, step) {
+  let current = amounts;
+  for (let i = 0; i < MAX_ADJUSTMENTS; i++) {
+    if (
+      meetsTarget(
+        position,
+        targetLtv,
+        current.repayAssets,
+        current.addCollateral
+      )
+    ) {
+      return current;
+    }
+    current = step(current);
+  }
+  return current;
+}
+
+// Amounts that bring a position back to `targetLtv` (WAD-scaled):
+// - repayAssets: loan tokens to repay
+// - addCollateral: collateral tokens to supply
+// - mixed: repay and supply of equal value
+//
+// `position` holds raw bigints: collateral, price (1e36-scaled oracle
+// price), borrowShares and the market's totalBorrowAssets/totalBorrowShares
+// (with accrued interest). Returns null when the position is already at or
+// below the target.
+function calculateRemediation(position, targetLtv) {
+  const { collateral, price } = position;
+  const debt = debtAfterRepay(position, 0n);
+  const maxDebt = maxDebtAt(collateral, price, targetLtv);
+
+  if (debt <= maxDebt) {
+    return null;
+  }
+
+  // Repay down to the largest debt allowed by the current collateral
+  const repay = settle(
+    position,
+    targetLtv,
+    { repayAssets: debt - maxDebt, addCollateral: 0n },
+    (amounts) => ({ ...amounts, repayAssets: amounts.repayAssets + 1n })
+  );
+
+  // Collateral whose value at the target LTV covers the whole debt
+  const requiredCollateral =
+    price === 0n
+      ? null
+      : mulDivUp(wDivUp(debt, targetLtv), ORACLE_PRICE_SCALE, price);
+  const supply =
+    requiredCollateral === null
+      ? null
+      : settle(
+          position,
+          targetLtv,
+          {
+            repayAssets: 0n,
+            addCollateral:
+              requiredCollateral > collateral
+                ? requiredCollateral - collateral
+                : 0n,
+          },
+          (amounts) => ({
+            ...amounts,
+            addCollateral: amounts.addCollateral + 1n,
+          })
+        );
+
+  // Repay x and supply collateral worth x: (debt - x) = t * (value + x)
+  // gives x = (debt - t * value) / (1 + t)
+  let mixed = null;
+  if (price !== 0n) {
+    const value = mulDivDown(collateral, price, ORACLE_PRICE_SCALE);
+    const repayValue = mulDivUp(
+      debt - wMulDown(value, targetLtv),
+      WAD,
+      WAD + targetLtv
+    );
+    mixed = settle(
+      position,
+      targetLtv,
+      {
+        repayAssets: repayValue,
+        addCollateral: mulDivUp(repayValue, ORACLE_PRICE_SCALE, price),
+      },
+      (amounts) => ({
+        repayAssets: amounts.repayAssets + 1n,
+        addCollateral: amounts.addCollateral + 1n,
+      })
+    );
+  }
+
+  return {
+    debt,
+    maxDebt,
+    repayAssets: repay.repayAssets,
+    addCollateral: supply ? supply.addCollateral : null,
+    mixed,
+  };
+}
+
+module.exports = {
+  calculateRemediation,
+  debtAfterRepay,
+  positionAfterRepay,
+};
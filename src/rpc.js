@@ -0,0 +1,314 @@
+const { ethers } = require("ethers");
+
+// Consecutive failures before an endpoint is benched, and the longest it
+// stays benched
+const BENCH_AFTER_FAILURES = 3;
+const MAX_BENCH_TIME = 5 * 60 * 1000;
+
+// Weight of the latest call in the success and latency averages
+const SCORE_WEIGHT = 0.2;
+
+// Answers that mean "try another endpoint" rather than a real JSON-RPC error
+const RETRYABLE_ERROR =
+  /rate limit|too many requests|limit exceeded|capacity|timeout|header not found|unknown block/i;
+
+// Hides API keys in URL paths and query strings from logs and metrics
+function endpointName(url, index, urls) {
+  let host;
+  try {
+    host = new URL(url).host;
+  } catch (error) {
+    host = `rpc${index + 1}`;
+  }
+  const sameHost = urls.filter((other) => other.includes(`//${host}`));
+  return sameHost.length > 1 ? `${host}#${index + 1}` : host;
+}
+
+// JsonRpcProvider over several endpoints. Every request goes to the
+// healthiest endpoint first and fails over to the next on network errors,
+// timeouts, HTTP errors and rate limits. Endpoints are scored on their
+// recent success rate and latency; one failing repeatedly is benched for a
+// while, and one whose head block lags the others is only used as a last
+// resort.
+//
+// With `quorum` above 1, criticalRead() runs a call on every endpoint at the
+// same block and only accepts a result that at least `quorum` of them agree
+// on.
+class RpcPool extends ethers.JsonRpcProvider {
+  constructor(
+    urls,
+    { chainId, timeout = 10000, quorum = 1, maxLag = 10 } = {}
+  ) {
+    if (urls.length === 0) {
+      throw new Error("At least one RPC URL is required");
+    }
+    // Requests are failed over one by one, never batched. With a `chainId`,
+    // endpoints on another chain fail with a "network changed" error.
+    super(urls[0], chainId, { batchMaxCount: 1 });
+
+    this.timeout = timeout;
+    this.quorum = Math.min(quorum, urls.length);
+    this.maxLag = maxLag;
+    this.endpoints = urls.map((url, index) => ({
+      url,
+      name: endpointName(url, index, urls),
+      health: 1,
+      latency: null,
+      failures: 0,
+      benchedUntil: 0,
+      head: null,
+      lag: 0,
+      lastError: null,
+    }));
+    this.requestId = 0;
+    this.disagreements = [];
+  }
+
+  // Endpoints in the order they should be tried
+  ranked() {
+    const now = Date.now();
+    const penalty = (endpoint) =>
+      (endpoint.benchedUntil > now ? 2 : 0) +
+      (endpoint.lag > this.maxLag ? 1 : 0);
+
+    return [...this.endpoints].sort(
+      (a, b) =>
+        penalty(a) - penalty(b) ||
+        b.health - a.health ||
+        (a.latency === null ? Infinity : a.latency) -
+          (b.latency === null ? Infinity : b.latency)
+    );
+  }
+
+  recordSuccess(endpoint, latency) {
+    endpoint.health = endpoint.health * (1 - SCORE_WEIGHT) + SCORE_WEIGHT;
+    endpoint.latency =
+      endpoint.latency === null
+        ? latency
+        : endpoint.latency * (1 - SCORE_WEIGHT) + latency * SCORE_WEIGHT;
+    endpoint.failures = 0;
+    endpoint.benchedUntil = 0;
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.health *= 1 - SCORE_WEIGHT;
+    endpoint.failures++;
+    endpoint.lastError = error.shortMessage || error.message;
+    if (endpoint.failures >= BENCH_AFTER_FAILURES) {
+      endpoint.benchedUntil =
+        Date.now() +
+        Math.min(
+          30000 * 2 ** (endpoint.failures - BENCH_AFTER_FAILURES),
+          MAX_BENCH_TIME
+        );
+    }
+  }
+
+  // Raw JSON-RPC POST to one endpoint, resolving to the array of responses
+  async post(endpoint, payload) {
+    const request = new ethers.FetchRequest(endpoint.url);
+    request.body = JSON.stringify(payload);
+    request.setHeader("content-type", "application/json");
+    request.timeout = this.timeout;
+    // Rate limits are handled by failing over, not by waiting
+    request.setThrottleParams({ maxAttempts: 1 });
+
+    const started = Date.now();
+    try {
+      const response = await request.send();
+      response.assertOk();
+      const body = response.bodyJson;
+      const responses = Array.isArray(body) ? body : [body];
+
+      const retryable = responses.find(
+        (item) => item.error && RETRYABLE_ERROR.test(item.error.message)
+      );
+      if (retryable) {
+        throw new Error(retryable.error.message);
+      }
+
+      this.recordSuccess(endpoint, Date.now() - started);
+      return responses;
+    } catch (error) {
+      this.recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  // Result of a single call on one endpoint
+  async request(endpoint, method, params) {
+    const [response] = await this.post(endpoint, {
+      method,
+      params,
+      id: ++this.requestId,
+      jsonrpc: "2.0",
+    });
+    if (response.error) {
+      const error = new Error(response.error.message);
+      error.rpcError = response.error;
+      throw error;
+    }
+    return response.result;
+  }
+
+  // Called by JsonRpcProvider for every request
+  async _send(payload) {
+    const errors = [];
+    for (const endpoint of this.ranked()) {
+      try {
+        return await this.post(endpoint, payload);
+      } catch (error) {
+        console.error(
+          `RPC ${endpoint.name} failed, trying the next endpoint:`,
+          error.shortMessage || error.message
+        );
+        errors.push(`${endpoint.name}: ${error.shortMessage || error.message}`);
+      }
+    }
+    throw new Error(`Every RPC endpoint failed (${errors.join("; ")})`);
+  }
+
+  // Head block of every endpoint and how far each is behind the best one.
+  // Resolves to { head, answering, lagging, endpoints }.
+  async checkHeads() {
+    await Promise.all(
+      this.endpoints.map(async (endpoint) => {
+        try {
+          endpoint.head = Number(
+            await this.request(endpoint, "eth_blockNumber", [])
+          );
+        } catch (error) {
+          endpoint.head = null;
+        }
+      })
+    );
+
+    const heads = this.endpoints
+      .map((endpoint) => endpoint.head)
+      .filter((head) => head !== null);
+    const head = heads.length > 0 ? Math.max(...heads) : null;
+    for (const endpoint of this.endpoints) {
+      endpoint.lag = endpoint.head === null ? 0 : head - endpoint.head;
+    }
+
+    return {
+      head,
+      answering: heads.length,
+      lagging: this.endpoints.filter((endpoint) => endpoint.lag > this.maxLag),
+      endpoints: this.endpoints,
+    };
+  }
+
+  // A block every endpoint should have, so lagging heads don't disagree
+  async snapshotBlock() {
+    const head = await this.getBlockNumber();
+    return this.quorum > 1 ? head - this.maxLag : head;
+  }
+
+  // `contract.method(...args)` at one block (`blockTag`, or
+  // snapshotBlock()) on every usable endpoint. Throws when fewer than
+  // `quorum` endpoints return the same answer.
+  async quorumCall(contract, method, args = [], { blockTag } = {}) {
+    const fragment = contract.interface.getFunction(method);
+    const call = {
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(fragment, args),
+    };
+    const block = ethers.toQuantity(
+      blockTag === undefined ? await this.snapshotBlock() : blockTag
+    );
+
+    const now = Date.now();
+    const usable = this.endpoints.filter(
+      (endpoint) => endpoint.benchedUntil <= now
+    );
+    const answers = await Promise.all(
+      usable.map(async (endpoint) => {
+        try {
+          return {
+            endpoint,
+            result: await this.request(endpoint, "eth_call", [call, block]),
+          };
+        } catch (error) {
+          // Reverts are answers too, and have to agree like results do
+          return error.rpcError
+            ? { endpoint, revert: error.rpcError }
+            : { endpoint, error };
+        }
+      })
+    );
+
+    const groups = new Map();
+    for (const answer of answers) {
+      if (answer.error) continue;
+      const key = answer.revert
+        ? `revert:${answer.revert.data || answer.revert.message}`
+        : answer.result;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(answer);
+    }
+    const [best = []] = [...groups.values()].sort(
+      (a, b) => b.length - a.length
+    );
+
+    if (groups.size > 1) {
+      const outvoted = answers.filter(
+        (answer) => !answer.error && !best.includes(answer)
+      );
+      outvoted.forEach((answer) =>
+        this.recordFailure(answer.endpoint, new Error(`${method} disagreed`))
+      );
+      this.disagreements.push({
+        time: new Date().toISOString(),
+        method,
+        block: Number(block),
+        agreed: best.map((answer) => answer.endpoint.name),
+        disagreed: outvoted.map((answer) => answer.endpoint.name),
+      });
+    }
+
+    if (best.length < this.quorum) {
+      throw new Error(
+        `No RPC quorum for ${method}: ${best.length} of ${usable.length} endpoints agree, ${this.quorum} needed`
+      );
+    }
+    if (best[0].revert) {
+      // Same error code as a reverted contract call, so callers handle both
+      throw ethers.makeError(
+        `${method} reverted: ${best[0].revert.message}`,
+        "CALL_EXCEPTION",
+        { action: "call", data: best[0].revert.data || null, transaction: call }
+      );
+    }
+
+    const result = contract.interface.decodeFunctionResult(
+      fragment,
+      best[0].result
+    );
+    return fragment.outputs.length === 1 ? result[0] : result;
+  }
+}
+
+// Contract read cross-checked across endpoints when the contract runs on an
+// RpcPool in quorum mode, a plain call otherwise. Used for the Multicall3
+// snapshot alerts depend on: the position, its market and the oracle price.
+function criticalRead(contract, method, args = [], { blockTag } = {}) {
+  const provider = contract.runner && contract.runner.provider;
+  if (provider instanceof RpcPool && provider.quorum > 1) {
+    return provider.quorumCall(contract, method, args, { blockTag });
+  }
+  return contract[method](...args, { blockTag });
+}
+
+// Block to pin a snapshot of reads to
+function snapshotBlock(provider) {
+  return provider instanceof RpcPool
+    ? provider.snapshotBlock()
+    : provider.getBlockNumber();
+}
+
+module.exports = {
+  RpcPool,
+  criticalRead,
+  snapshotBlock,
+};
@@ -0,0 +1,95 @@
+// Check interval for the thinnest buffer (percent of the collateral price
+// left before liquidation): `interval` at or above `fullBuffer`, shrinking
+// linearly to `minInterval` as the buffer goes to 0. Without a
+// `minInterval` the interval is fixed.
+function adaptiveInterval(buffer, { interval, minInterval, fullBuffer }) {
+  if (!minInterval || buffer === null || buffer === undefined) {
+    return interval;
+  }
+  const ratio = Math.max(0, Math.min(1, buffer / fullBuffer));
+  return Math.round(minInterval + (interval - minInterval) * ratio);
+}
+
+// Runs position checks one at a time. A timer starts a full check every
+// `getInterval()` ms; `trigger()` asks for an early check of some positions
+// (a new block, an oracle update, a Morpho event). Triggers that arrive
+// while a check is running are merged and run right after it, so checks
+// never overlap and bursts of events cost at most one extra check.
+//
+// `run(keys, reasons)` does the work: `keys` is a Set of position keys, or
+// null for a full check.
+class CheckScheduler {
+  constructor({ run, getInterval }) {
+    this.run = run;
+    this.getInterval = getInterval;
+    this.running = false;
+    this.pending = null;
+    this.timer = null;
+  }
+
+  start() {
+    return this.trigger("startup");
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Resolves once the requested check (or the one it was merged into) ran
+  trigger(reason, keys = null) {
+    if (!this.pending) {
+      this.pending = { keys: new Set(), full: false, reasons: new Set() };
+      this.pending.done = new Promise((resolve) => {
+        this.pending.resolve = resolve;
+      });
+    }
+    const { pending } = this;
+    pending.reasons.add(reason);
+    if (keys === null) {
+      pending.full = true;
+    } else {
+      keys.forEach((key) => pending.keys.add(key));
+    }
+
+    if (!this.running) {
+      this.drain();
+    }
+    return pending.done;
+  }
+
+  async drain() {
+    this.running = true;
+    while (this.pending) {
+      const { full, keys, reasons, resolve } = this.pending;
+      this.pending = null;
+      if (full) {
+        // The timer counts from the last full check
+        clearTimeout(this.timer);
+      }
+
+      try {
+        await this.run(full ? null : keys, [...reasons]);
+      } catch (error) {
+        console.error("Error running checks:", error);
+      }
+      if (full) {
+        this.schedule();
+      }
+      resolve();
+    }
+    this.running = false;
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    const interval = this.getInterval();
+    this.timer = setTimeout(() => this.trigger("interval"), interval);
+    return interval;
+  }
+}
+
+module.exports = {
+  CheckScheduler,
+  adaptiveInterval,
+};
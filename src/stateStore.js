@@ -0,0 +1,163 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Alerts kept in the log, oldest dropped first
+const DEFAULT_MAX_ALERTS = 1000;
+
+// Changes within this many ms go out in one write
+const DEFAULT_SAVE_DELAY = 1000;
+
+// Stores with writes to flush when the process ends. SIGINT and SIGTERM
+// would end it without an "exit" event, so they exit explicitly.
+const openStores = new Set();
+function flushOnExit(store) {
+  if (openStores.size === 0) {
+    process.on("exit", () => openStores.forEach((open) => open.flush()));
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.once(signal, () =>
+        process.exit(128 + os.constants.signals[signal])
+      );
+    }
+  }
+  openStores.add(store);
+}
+
+// Small JSON file holding what a monitor needs to survive a restart: cooldown
+// timers, last-seen values and a log of every alert sent. Each monitor
+// process uses its own file. Changes are batched and written off the event
+// loop, at most once every `saveDelay` ms, and whatever is left is written
+// when the process exits. Writes go to a temporary file that is renamed
+// over the old one, so a crash mid-write can't leave a truncated file.
+class StateStore {
+  constructor(filePath, { maxAlerts, saveDelay } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.maxAlerts = maxAlerts || DEFAULT_MAX_ALERTS;
+    this.saveDelay = saveDelay === undefined ? DEFAULT_SAVE_DELAY : saveDelay;
+    this.data = { values: {}, alerts: [] };
+    this.dirty = false;
+    this.inFlight = false;
+    this.saveTimer = null;
+    // Writes run one after the other, never two on the temporary file
+    this.writing = Promise.resolve();
+    this.load();
+    flushOnExit(this);
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.data = {
+        values: saved.values || {},
+        alerts: saved.alerts || [],
+      };
+      console.log(
+        `Loaded state from ${this.filePath} (${this.data.alerts.length} alerts logged)`
+      );
+    } catch (error) {
+      // Keep the unreadable file around rather than overwrite it
+      const backup = `${this.filePath}.${Date.now()}.bak`;
+      fs.renameSync(this.filePath, backup);
+      console.error(
+        `Could not read state file, moved it to ${backup}:`,
+        error.message
+      );
+    }
+  }
+
+  // Values saved by another process's store, read without taking over the
+  // file; null when it doesn't exist or can't be read
+  static peek(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(filePath), "utf8")).values;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Schedules a write of the current data
+  save() {
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.writing = this.writing.then(() => this.write());
+    }, this.saveDelay);
+    // Pending changes don't keep the process alive, flush() writes them
+    this.saveTimer.unref();
+  }
+
+  async write() {
+    if (!this.dirty) return;
+    this.dirty = false;
+    this.inFlight = true;
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+      await fs.promises.rename(tmpPath, this.filePath);
+    } catch (error) {
+      // Retried with the next change
+      this.dirty = true;
+      console.error(`Could not save state to ${this.filePath}:`, error.message);
+    } finally {
+      this.inFlight = false;
+    }
+  }
+
+  // Writes pending changes synchronously, when the process exits. A write
+  // still in flight would never finish, so its data is written again, with
+  // a temporary file of its own.
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.dirty && !this.inFlight) return;
+    this.dirty = false;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.exit.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get(key, defaultValue = null) {
+    return Object.prototype.hasOwnProperty.call(this.data.values, key)
+      ? this.data.values[key]
+      : defaultValue;
+  }
+
+  set(key, value) {
+    this.data.values[key] = value;
+    this.save();
+  }
+
+  delete(key) {
+    delete this.data.values[key];
+    this.save();
+  }
+
+  // Appends one sent alert: { source, key, kind, severity, message }
+  recordAlert(alert) {
+    this.data.alerts.push({ time: new Date().toISOString(), ...alert });
+    if (this.data.alerts.length > this.maxAlerts) {
+      this.data.alerts.splice(0, this.data.alerts.length - this.maxAlerts);
+    }
+    this.save();
+  }
+
+  // Most recent alerts first, optionally only for one source/key
+  getAlerts({ source, key, limit = 20 } = {}) {
+    return this.data.alerts
+      .filter(
+        (alert) =>
+          (!source || alert.source === source) && (!key || alert.key === key)
+      )
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = StateStore;
@@ -0,0 +1,312 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const PositionHistory = require("./history");
+const { formatLtv } = require("./messages");
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// Fewest price returns a volatility estimate is made from
+const MIN_RETURNS = 10;
+
+// Scenarios when STRESS_SHOCKS is unset. Shocks are relative price moves:
+// `collateral` of the collateral token, `loan` of the loan token (a depeg),
+// both against the unit the oracle's feeds are quoted in.
+const DEFAULT_SHOCKS = [
+  { collateral: -0.1 },
+  { collateral: -0.2 },
+  { collateral: -0.3 },
+  { collateral: -0.5 },
+  { loan: 0.02 },
+  { loan: 0.05 },
+  { loan: -0.05 },
+  { collateral: -0.2, loan: 0.05 },
+];
+
+function signedPercent(value) {
+  return `${value > 0 ? "+" : ""}${(value * 100).toFixed(1)}%`;
+}
+
+function describeShock({ collateral = 0, loan = 0 }) {
+  const parts = [];
+  if (collateral) parts.push(`collateral ${signedPercent(collateral)}`);
+  if (loan) parts.push(`loan token ${signedPercent(loan)}`);
+  return parts.join(", ") || "no shock";
+}
+
+// Shocks from a JSON array of { name, collateral, loan } (fractions, -0.2
+// = 20% down), the defaults when empty
+function parseShocks(json) {
+  if (!json) return DEFAULT_SHOCKS;
+
+  const shocks = JSON.parse(json);
+  if (!Array.isArray(shocks) || shocks.length === 0) {
+    throw new Error("STRESS_SHOCKS must be a non-empty JSON array");
+  }
+  return shocks.map((shock, index) => {
+    for (const side of ["collateral", "loan"]) {
+      const value = shock[side];
+      if (value !== undefined && !(typeof value === "number" && value > -1)) {
+        throw new Error(
+          `Shock #${index + 1}: ${side} must be a fraction above -1`
+        );
+      }
+    }
+    return shock;
+  });
+}
+
+// LTV, buffer and health of a position after each shock. `status` has the
+// float fields of a check (ltv, lltv, price, liquidationPrice); the
+// liquidation price itself doesn't move, only the oracle price does.
+//
+// Oracles without a quote feed treat the loan token as the feeds' unit, so
+// a loan token depeg doesn't reach Morpho: with `quoteFeed` false the loan
+// shock is left out and flagged. Unknown oracles (null) are assumed to
+// price it.
+function stressPosition(status, shocks, { quoteFeed = null } = {}) {
+  return shocks.map((shock) => {
+    const loanIgnored = quoteFeed === false && Boolean(shock.loan);
+    const collateralMove = 1 + (shock.collateral || 0);
+    const loanMove = loanIgnored ? 1 : 1 + (shock.loan || 0);
+    const price = (status.price * collateralMove) / loanMove;
+
+    let ltv;
+    if (status.ltv === 0 || status.ltv === Infinity) {
+      ltv = status.ltv;
+    } else {
+      ltv = price > 0 ? (status.ltv * status.price) / price : Infinity;
+    }
+
+    return {
+      name: shock.name || describeShock(shock),
+      collateral: shock.collateral || 0,
+      loan: shock.loan || 0,
+      loanIgnored,
+      price,
+      ltv,
+      buffer:
+        price > status.liquidationPrice
+          ? (1 - status.liquidationPrice / price) * 100
+          : 0,
+      healthy: ltv <= status.lltv,
+    };
+  });
+}
+
+// Annualized volatility of a price series ([{ time, price }]), from squared
+// log returns over the time they span, so irregular sampling and gaps are
+// weighted by duration. Null with fewer than MIN_RETURNS returns.
+function estimateVolatility(series) {
+  const points = series
+    .map((point) => ({
+      time: new Date(point.time).getTime() / 1000,
+      price: Number(point.price),
+    }))
+    .filter((point) => !isNaN(point.time) && point.price > 0)
+    .sort((a, b) => a.time - b.time);
+
+  let squares = 0;
+  let seconds = 0;
+  let returns = 0;
+  for (let index = 1; index < points.length; index++) {
+    const elapsed = points[index].time - points[index - 1].time;
+    if (elapsed <= 0) continue;
+    squares += Math.log(points[index].price / points[index - 1].price) ** 2;
+    seconds += elapsed;
+    returns++;
+  }
+  if (returns < MIN_RETURNS) {
+    return null;
+  }
+
+  return {
+    volatility: Math.sqrt((squares / seconds) * SECONDS_PER_YEAR),
+    returns,
+    from: new Date(points[0].time * 1000).toISOString(),
+    to: new Date(points[points.length - 1].time * 1000).toISOString(),
+  };
+}
+
+// Abramowitz and Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(x) {
+  const t = 1 / (1 + (0.3275911 * Math.abs(x)) / Math.SQRT2);
+  const erf =
+    1 -
+    t *
+      (0.254829592 +
+        t *
+          (-0.284496736 +
+            t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) *
+      Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Chance that the price touches the liquidation price within `seconds`,
+// for a driftless lognormal price with annualized `volatility`: by the
+// reflection principle, 2 * N(ln(1 - buffer) / (volatility * sqrt(t))).
+// `buffer` is in percent, as reported by the monitor.
+function liquidationProbability(buffer, volatility, seconds) {
+  if (buffer <= 0) return 1;
+  if (buffer >= 100 || volatility === 0) return 0;
+
+  const spread = volatility * Math.sqrt(seconds / SECONDS_PER_YEAR);
+  return Math.min(1, 2 * normalCdf(Math.log(1 - buffer / 100) / spread));
+}
+
+// [{ time, price }] from a JSON array (objects or [time, price] pairs) or a
+// CSV with time and price columns, such as `npm run export` writes
+function loadPriceSeries(filePath) {
+  const text = fs.readFileSync(path.resolve(filePath), "utf8");
+  if (filePath.endsWith(".json")) {
+    return JSON.parse(text).map((point) =>
+      Array.isArray(point) ? { time: point[0], price: point[1] } : point
+    );
+  }
+
+  // Quoted fields, as written by PositionHistory.toCsv
+  const split = (line) =>
+    (line.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || []).slice(0, -1).map((field) =>
+      field
+        .replace(/,$/, "")
+        .replace(/^"(.*)"$/, "$1")
+        .replace(/""/g, '"')
+    );
+  const [header, ...rows] = text.split("\n").filter((line) => line.trim());
+  const columns = split(header);
+  const time = columns.indexOf("time");
+  const price = columns.indexOf("price");
+  if (time === -1 || price === -1) {
+    throw new Error(`${filePath} needs time and price columns`);
+  }
+  return rows.map(split).map((row) => ({ time: row[time], price: row[price] }));
+}
+
+// Shock results and liquidation probabilities for one position. The
+// volatility comes from `series`; `horizons` are in days.
+function stressReport(status, { shocks, quoteFeed, series, horizons }) {
+  const estimate = series ? estimateVolatility(series) : null;
+  return {
+    results: stressPosition(status, shocks, { quoteFeed }),
+    estimate,
+    probabilities: estimate
+      ? horizons.map((days) => ({
+          days,
+          probability: liquidationProbability(
+            status.buffer,
+            estimate.volatility,
+            days * 86400
+          ),
+        }))
+      : [],
+  };
+}
+
+// Report lines: one per shock, then the volatility and probabilities
+function describeStress({ results, estimate, probabilities }) {
+  const lines = results.map(
+    (result) =>
+      `${result.name}: price ${result.price.toFixed(4)}, LTV ${formatLtv(
+        result.ltv
+      )}, buffer ${result.buffer.toFixed(2)}%${
+        result.healthy ? "" : " ⚠️ LIQUIDATABLE"
+      }${result.loanIgnored ? " (no quote feed, depeg not priced)" : ""}`
+  );
+
+  if (!estimate) {
+    lines.push("Liquidation probability: not enough price history");
+  } else {
+    lines.push(
+      `Volatility ${(estimate.volatility * 100).toFixed(1)}% a year (${
+        estimate.returns
+      } returns, ${estimate.from.slice(0, 10)} to ${estimate.to.slice(0, 10)})`
+    );
+    lines.push(
+      `Liquidation probability: ${probabilities
+        .map(
+          ({ days, probability }) =>
+            `${(probability * 100).toFixed(2)}% within ${days} day${
+              days === 1 ? "" : "s"
+            }`
+        )
+        .join(", ")}`
+    );
+  }
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_SHOCKS,
+  parseShocks,
+  stressPosition,
+  estimateVolatility,
+  liquidationProbability,
+  loadPriceSeries,
+  stressReport,
+  describeStress,
+};
+
+// Stress test the recorded positions:
+// `npm run stress -- --position 0xwallet:0xmarketid --series prices.csv`
+if (require.main === module) {
+  const args = {};
+  process.argv.slice(2).forEach((arg, index, all) => {
+    if (arg.startsWith("--")) args[arg.slice(2)] = all[index + 1];
+  });
+
+  const shocks = parseShocks(process.env.STRESS_SHOCKS);
+  const horizons = (args.horizons || process.env.STRESS_HORIZONS || "1,7")
+    .split(",")
+    .map((days) => parseFloat(days));
+  const window = parseFloat(process.env.STRESS_VOLATILITY_WINDOW || "30");
+  const seriesFile = args.series || process.env.STRESS_PRICE_SERIES;
+
+  (async () => {
+    const history = new PositionHistory(
+      path.join(process.env.STATE_DIR || "state", "history.jsonl")
+    );
+    const samples = await history.read({ key: args.position });
+
+    // The latest check of each position is what gets shocked
+    const latest = new Map();
+    // (an infinite LTV is recorded as null)
+    samples.forEach((sample) =>
+      latest.set(sample.key, {
+        ...sample,
+        ltv: sample.ltv === null ? Infinity : sample.ltv,
+      })
+    );
+    if (latest.size === 0) {
+      console.error(
+        "No recorded checks, run the monitor with HISTORY_ENABLED first"
+      );
+      process.exit(1);
+    }
+
+    const supplied = seriesFile ? loadPriceSeries(seriesFile) : null;
+    for (const status of latest.values()) {
+      const from = new Date(status.time).getTime() - window * 86400 * 1000;
+      const series =
+        supplied ||
+        samples.filter(
+          (sample) =>
+            sample.key === status.key && new Date(sample.time).getTime() >= from
+        );
+
+      console.log(`\n${status.label} (${status.key})`);
+      console.log(
+        `- Now: price ${status.price.toFixed(4)}, LTV ${formatLtv(
+          status.ltv
+        )} / ${status.lltv.toFixed(4)}, buffer ${status.buffer.toFixed(2)}% (${
+          status.time
+        })`
+      );
+      describeStress(
+        stressReport(status, { shocks, series, horizons })
+      ).forEach((line) => console.log(`- ${line}`));
+    }
+  })().catch((error) => {
+    console.error("Error running the stress test:", error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,254 @@
+const { ethers } = require("ethers");
+
+const FEED_ABI = [
+  // Chainlink aggregators, behind the proxy the oracle reads
+  "event AnswerUpdated(int256 indexed current, uint256 indexed roundId, uint256 updatedAt)",
+  "function aggregator() view returns (address)",
+  // Chronicle oracles
+  "event Poked(address indexed caller, uint128 val, uint32 age)",
+];
+const feedInterface = new ethers.Interface(FEED_ABI);
+
+// Morpho events that change a position, with the argument holding its owner
+const POSITION_EVENTS = {
+  Borrow: "onBehalf",
+  Repay: "onBehalf",
+  SupplyCollateral: "onBehalf",
+  WithdrawCollateral: "onBehalf",
+  Liquidate: "borrower",
+};
+
+// Morpho events that change a lender's supply. They are frequent in busy
+// markets, so only the watched lender wallets' own are subscribed to.
+// onBehalf is the third indexed topic of Supply but the second one of
+// Withdraw, so each gets its own filter.
+const SUPPLY_EVENTS = {
+  Supply: "onBehalf",
+  Withdraw: "onBehalf",
+};
+
+// A connection that delivers no block for this long is rebuilt
+const STALE_TIMEOUT = 60000;
+const RECONNECT_DELAY = 5000;
+
+// New blocks, oracle feed updates and Morpho events on the watched markets,
+// over a WebSocket provider. ethers doesn't reconnect WebSockets, so the
+// connection is rebuilt when it closes or stops delivering blocks.
+//
+// `getWatched()` returns { markets, feeds, lenders } (market ids, oracle
+// feed addresses and the wallets supplying to those markets); call refresh()
+// when it changes. Callbacks:
+// - onBlock(blockNumber)
+// - onFeedUpdate(feedAddress, blockNumber)
+// - onMorphoEvent({ name, marketId, account, blockNumber })
+class EventSubscriber {
+  constructor({ url, morpho, onBlock, onFeedUpdate, onMorphoEvent }) {
+    this.url = url;
+    this.morphoContract = morpho;
+    this.onBlock = onBlock;
+    this.onFeedUpdate = onFeedUpdate;
+    this.onMorphoEvent = onMorphoEvent;
+    this.provider = null;
+    this.connected = false;
+    this.lastBlock = null;
+    this.lastBlockAt = null;
+    this.subscribedKey = null;
+    // Event emitter (Chainlink aggregator or the feed itself) => feed
+    this.emitters = new Map();
+    this.morphoFilter = null;
+    this.supplyFilters = [];
+    this.feedFilter = null;
+    this.watchdog = null;
+    this.reconnecting = false;
+  }
+
+  async start(getWatched) {
+    this.getWatched = getWatched;
+    this.watchdog = setInterval(() => {
+      if (
+        this.provider &&
+        Date.now() - (this.lastBlockAt || this.connectedAt) > STALE_TIMEOUT
+      ) {
+        this.reconnect(`no block for ${STALE_TIMEOUT / 1000} seconds`);
+      }
+    }, STALE_TIMEOUT / 2);
+    await this.connect();
+  }
+
+  async stop() {
+    clearInterval(this.watchdog);
+    this.watchdog = null;
+    await this.disconnect();
+  }
+
+  async connect() {
+    console.log(
+      `Connecting to ${
+        new URL(this.url).host
+      } for block and event subscriptions`
+    );
+    this.provider = new ethers.WebSocketProvider(this.url);
+    this.connectedAt = Date.now();
+    this.subscribedKey = null;
+    this.morphoFilter = null;
+    this.supplyFilters = [];
+    this.feedFilter = null;
+
+    const { websocket } = this.provider;
+    websocket.onerror = (error) => {
+      console.error("WebSocket error:", error.message);
+    };
+    websocket.onclose = () => {
+      this.reconnect("connection closed");
+    };
+
+    try {
+      await this.provider.on("block", (blockNumber) => {
+        this.connected = true;
+        this.lastBlock = blockNumber;
+        this.lastBlockAt = Date.now();
+        this.onBlock(blockNumber);
+      });
+      await this.refresh();
+    } catch (error) {
+      this.reconnect(`subscription failed: ${error.message}`);
+    }
+  }
+
+  async disconnect() {
+    const { provider } = this;
+    this.provider = null;
+    this.connected = false;
+    if (!provider) return;
+    try {
+      provider.websocket.onclose = null;
+      await provider.destroy();
+    } catch (error) {
+      // Already closed
+    }
+  }
+
+  reconnect(reason) {
+    if (this.reconnecting) return;
+    this.reconnecting = true;
+    console.error(
+      `WebSocket subscriptions lost (${reason}), reconnecting in ${
+        RECONNECT_DELAY / 1000
+      }s`
+    );
+
+    setTimeout(async () => {
+      await this.disconnect();
+      this.reconnecting = false;
+      await this.connect();
+    }, RECONNECT_DELAY);
+  }
+
+  // Feeds are Chainlink proxies whose aggregator emits the events, or
+  // Chronicle oracles emitting them themselves
+  async resolveEmitters(feeds) {
+    const emitters = new Map();
+    for (const feed of feeds) {
+      emitters.set(feed.toLowerCase(), feed.toLowerCase());
+      try {
+        const contract = new ethers.Contract(feed, FEED_ABI, this.provider);
+        const aggregator = await contract.aggregator();
+        emitters.set(aggregator.toLowerCase(), feed.toLowerCase());
+      } catch (error) {
+        // Not a proxy
+      }
+    }
+    return emitters;
+  }
+
+  // (Re)subscribes to logs when the watched markets or feeds changed
+  async refresh() {
+    if (!this.provider || !this.getWatched) return;
+
+    const { markets, feeds, lenders = [] } = this.getWatched();
+    const key = JSON.stringify([markets, feeds, lenders]);
+    if (key === this.subscribedKey) return;
+
+    // Log subscriptions are replaced, the block one stays
+    if (this.morphoFilter) await this.provider.off(this.morphoFilter);
+    for (const filter of this.supplyFilters) await this.provider.off(filter);
+    if (this.feedFilter) await this.provider.off(this.feedFilter);
+    this.morphoFilter = null;
+    this.supplyFilters = [];
+    this.feedFilter = null;
+
+    const morpho = this.morphoContract.interface;
+    const onLog = (events) => (log) => {
+      const event = morpho.parseLog(log);
+      if (!event) return;
+      this.onMorphoEvent({
+        name: event.name,
+        marketId: event.args.id,
+        account: event.args[events[event.name]],
+        blockNumber: log.blockNumber,
+      });
+    };
+    if (markets.length > 0) {
+      const address = await this.morphoContract.getAddress();
+      this.morphoFilter = {
+        address,
+        topics: [
+          Object.keys(POSITION_EVENTS).map(
+            (name) => morpho.getEvent(name).topicHash
+          ),
+          markets,
+        ],
+      };
+      await this.provider.on(this.morphoFilter, onLog(POSITION_EVENTS));
+
+      if (lenders.length > 0) {
+        const wallets = lenders.map((wallet) =>
+          ethers.zeroPadValue(wallet, 32)
+        );
+        this.supplyFilters = [
+          {
+            address,
+            topics: [
+              morpho.getEvent("Supply").topicHash,
+              markets,
+              null,
+              wallets,
+            ],
+          },
+          {
+            address,
+            topics: [morpho.getEvent("Withdraw").topicHash, markets, wallets],
+          },
+        ];
+        for (const filter of this.supplyFilters) {
+          await this.provider.on(filter, onLog(SUPPLY_EVENTS));
+        }
+      }
+    }
+
+    this.emitters = await this.resolveEmitters(feeds);
+    if (this.emitters.size > 0) {
+      this.feedFilter = {
+        address: [...this.emitters.keys()],
+        topics: [
+          [
+            feedInterface.getEvent("AnswerUpdated").topicHash,
+            feedInterface.getEvent("Poked").topicHash,
+          ],
+        ],
+      };
+      await this.provider.on(this.feedFilter, (log) => {
+        const feed = this.emitters.get(log.address.toLowerCase());
+        if (feed) this.onFeedUpdate(feed, log.blockNumber);
+      });
+    }
+
+    this.subscribedKey = key;
+    console.log(
+      `Subscribed to Morpho events in ${markets.length} market(s) (supply changes of ${lenders.length} lender wallet(s)) and updates of ${feeds.length} oracle feed(s)`
+    );
+  }
+}
+
+module.exports = EventSubscriber;
+module.exports.POSITION_EVENTS = POSITION_EVENTS;
@@ -1,34 +1,157 @@
+const { toHtml } = require("./messages");
+
+// Telegram rejects messages over 4096 characters
+const MAX_MESSAGE_LENGTH = 4096;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// An HTML tag, an entity or a single character
+const HTML_TOKEN = /<[^>]*>|&#?\w+;|[\s\S]/g;
+
+// Cuts a line longer than the limit between tags and entities, closing the
+// tags open at each cut and reopening them at the start of the next part
+function cutLine(line, limit) {
+  const parts = [];
+  const open = []; // [name, opening tag]
+  const closing = (stack) =>
+    stack
+      .map(([name]) => `</${name}>`)
+      .reverse()
+      .join("");
+  const reopening = () => open.map(([, tag]) => tag).join("");
+
+  let current = "";
+  for (const token of line.match(HTML_TOKEN)) {
+    const tag = token.startsWith("<") && token.match(/^<(\/?)\s*([\w-]+)/);
+    const after = [...open];
+    if (tag && tag[1]) {
+      const index = after.map(([name]) => name).lastIndexOf(tag[2]);
+      if (index >= 0) after.splice(index, 1);
+    } else if (tag && !token.endsWith("/>")) {
+      after.push([tag[2], token]);
+    }
+
+    if (
+      current.length + token.length + closing(after).length > limit &&
+      current !== reopening()
+    ) {
+      parts.push(current + closing(open));
+      current = reopening();
+    }
+    current += token;
+    open.splice(0, open.length, ...after);
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Splits text into chunks Telegram accepts, at line breaks where possible.
+// Alerts only bold within a line, so HTML tags stay balanced in each chunk;
+// a line too long for one chunk is cut by cutLine().
+function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let current = "";
+
+  for (const line of text.split("\n")) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length <= limit) {
+      current = candidate;
+      continue;
+    }
+    if (current) chunks.push(current);
+
+    // A single line longer than the limit is cut
+    const parts = line.length > limit ? cutLine(line, limit) : [line];
+    chunks.push(...parts.slice(0, -1));
+    current = parts[parts.length - 1];
+  }
+  if (current.trim()) chunks.push(current);
+
+  return chunks;
+}
+
+// Messages go out one at a time, in order. Each is retried with exponential
+// backoff on network errors, 5xx answers and 429s (waiting the retry_after
+// Telegram asks for); other errors such as a bad chat id fail right away.
 class TelegramNotifier {
-  constructor(token, channel) {
+  constructor(token, channel, { maxAttempts = 5, retryDelay = 1000, maxRetryDelay = 60000 } = {}) {
     this.token = token;
     this.channel = channel;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.queue = Promise.resolve();
   }
 
-  async sendMessage(message) {
-    try {
-      // Using POST method with JSON body for better handling of special characters and formatting
-      const request = await fetch(
-        `https://api.telegram.org/bot${this.token}/sendMessage`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            chat_id: this.channel,
-            text: message,
-            parse_mode: "HTML" 
-          })
+  // Resolves to Telegram's answer for the last part, or null when a part
+  // could not be delivered
+  sendMessage(message) {
+    const result = this.queue.then(async () => {
+      let response = null;
+      for (const chunk of splitMessage(message)) {
+        response = await this.deliver(chunk);
+        if (!response) return null;
+      }
+      return response;
+    });
+    this.queue = result.catch(() => null);
+    return result;
+  }
+
+  async deliver(text) {
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let delay = Math.min(this.retryDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+
+      try {
+        // Using POST method with JSON body for better handling of special characters and formatting
+        const request = await fetch(
+          `https://api.telegram.org/bot${this.token}/sendMessage`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+              chat_id: this.channel,
+              text,
+              parse_mode: "HTML"
+            }),
+            signal: AbortSignal.timeout(30000)
+          }
+        );
+
+        const response = await request.json();
+        if (request.ok && response.ok) {
+          return response;
         }
-      );
 
-      const response = await request.json();
-      return response;
-    } catch (error) {
-      console.error("Error sending Telegram message:", error);
-      return null;
+        const retryAfter = response.parameters && response.parameters.retry_after;
+        if (request.status === 429 && retryAfter) {
+          delay = retryAfter * 1000;
+        } else if (request.status < 500 && request.status !== 429) {
+          console.error(`Telegram rejected message: ${request.status} ${response.description}`);
+          return null;
+        }
+        console.error(`Telegram answered ${request.status} ${response.description} (attempt ${attempt}/${this.maxAttempts})`);
+      } catch (error) {
+        console.error(`Error sending Telegram message (attempt ${attempt}/${this.maxAttempts}):`, error.message);
+      }
+
+      if (attempt < this.maxAttempts) {
+        await sleep(delay);
+      }
     }
+
+    console.error(`Giving up on Telegram message after ${this.maxAttempts} attempts`);
+    return null;
+  }
+
+  // Structured message (see messages.js), rendered as Telegram HTML
+  async send(message) {
+    const response = await this.sendMessage(toHtml(message));
+    return Boolean(response && response.ok);
   }
 }
 
-module.exports = TelegramNotifier;
\ No newline at end of file
+module.exports = TelegramNotifier;
+module.exports.splitMessage = splitMessage;
@@ -0,0 +1,126 @@
+const { splitMessage } = require("./telegram");
+const { escapeHtml } = require("./messages");
+
+// Long-polls Telegram's getUpdates for bot commands and answers them in the
+// chat they came from. Only chats or users listed in `allowedIds` are
+// answered; everything else is ignored and logged.
+//
+// Handlers receive (args, message) and return the HTML reply text.
+class TelegramBot {
+  constructor({ token, allowedIds, pollTimeout = 30 }) {
+    this.token = token;
+    this.allowedIds = new Set(allowedIds.map((id) => String(id)));
+    this.pollTimeout = pollTimeout;
+    this.commands = new Map();
+    this.offset = 0;
+    this.running = false;
+  }
+
+  command(name, description, handler) {
+    this.commands.set(name, { description, handler });
+  }
+
+  // One line per command, for /help
+  describeCommands() {
+    return [...this.commands].map(
+      ([name, { description }]) => `/${name} ${description}`
+    );
+  }
+
+  async call(method, params) {
+    const request = await fetch(
+      `https://api.telegram.org/bot${this.token}/${method}`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(params),
+        // Leave room for the long poll itself
+        signal: AbortSignal.timeout((this.pollTimeout + 10) * 1000),
+      }
+    );
+    const response = await request.json();
+    if (!response.ok) {
+      throw new Error(`${method} failed: ${response.description}`);
+    }
+    return response.result;
+  }
+
+  isAllowed(message) {
+    return (
+      this.allowedIds.has(String(message.chat.id)) ||
+      (message.from && this.allowedIds.has(String(message.from.id)))
+    );
+  }
+
+  async handle(message) {
+    const text = (message.text || "").trim();
+    if (!text.startsWith("/")) return;
+
+    // "/threshold@MyBot 0.7" => threshold, ["0.7"]
+    const [commandText, ...args] = text.split(/\s+/);
+    const name = commandText.slice(1).split("@")[0].toLowerCase();
+    const command = this.commands.get(name);
+    if (!command) return;
+
+    if (!this.isAllowed(message)) {
+      console.log(
+        `Ignoring /${name} from unauthorized chat ${message.chat.id}${
+          message.from ? ` / user ${message.from.id}` : ""
+        }`
+      );
+      return;
+    }
+
+    console.log(`Telegram command /${name} ${args.join(" ")}`);
+    let reply;
+    try {
+      reply = await command.handler(args, message);
+    } catch (error) {
+      reply = `Error: ${escapeHtml(error.message)}`;
+    }
+
+    for (const text of splitMessage(reply)) {
+      await this.call("sendMessage", {
+        chat_id: message.chat.id,
+        text,
+        parse_mode: "HTML",
+      });
+    }
+  }
+
+  // Runs until stop(); errors are logged and retried after a pause
+  async start() {
+    this.running = true;
+    console.log(
+      `Listening for Telegram commands from ${[...this.allowedIds].join(", ")}`
+    );
+
+    while (this.running) {
+      try {
+        const updates = await this.call("getUpdates", {
+          offset: this.offset,
+          timeout: this.pollTimeout,
+          allowed_updates: ["message"],
+        });
+
+        for (const update of updates) {
+          this.offset = update.update_id + 1;
+          if (update.message) {
+            await this.handle(update.message);
+          }
+        }
+      } catch (error) {
+        console.error("Error polling Telegram commands:", error.message);
+        await new Promise((resolve) => setTimeout(resolve, 5000));
+      }
+    }
+  }
+
+  stop() {
+    this.running = false;
+  }
+}
+
+module.exports = TelegramBot;
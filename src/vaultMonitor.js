@@ -1,6 +1,10 @@
 const axios = require('axios');
+const path = require('path');
 require("dotenv").config();
-const TelegramNotifier = require('./telegram');
+const { createNotifiers } = require('./notifiers');
+const { toText } = require('./messages');
+const StateStore = require('./stateStore');
+const { Metrics, startMetricsServer } = require('./metrics');
 
 // Morpho Blue API endpoint
 const MORPHO_API_URL = 'https://blue-api.morpho.org/graphql';
@@ -12,6 +16,10 @@ const APY_DIFF_THRESHOLD = parseFloat(process.env.APY_DIFF_THRESHOLD || '0.00');
 const CHECK_INTERVAL = parseInt(process.env.CHECK_INTERVAL || '600') * 1000; // Check every 10 Mins by default
 const ALERT_COOLDOWN = parseInt(process.env.ALERT_COOLDOWN || '600') * 1000; // Alert cooldown (10 mins by default)
 const CHAIN_ID = process.env.CHAIN_ID || '8453'; // Default to 8453 (BASE)
+const STATE_DIR = process.env.STATE_DIR || 'state'; // Cooldown and last APYs survive restarts here
+const METRICS_PORT = parseInt(process.env.VAULT_METRICS_PORT || '0'); // Serve /metrics and /healthz on this port, off when unset
+const HEALTH_MAX_POLL_AGE = parseInt(process.env.HEALTH_MAX_POLL_AGE || '0') * 1000 || CHECK_INTERVAL * 3; // /healthz fails when the last good poll is older
+const NOTIFIERS = process.env.NOTIFIERS || ''; // JSON array of notification channels, Telegram TOKEN/CHANNEL when unset
 
 // GraphQL query to fetch vault data
 const query = `
@@ -153,16 +161,28 @@ function calculateTotalRewardsApr(vault) {
 
 class VaultMonitor {
   constructor() {
-    this.lastAlertTime = 0;
+    // Restore the cooldown and APY baselines from the previous run
+    this.state = new StateStore(path.join(STATE_DIR, 'vaultMonitor.json'));
+    this.lastAlertTime = this.state.get('lastAlertTime', 0);
     this.alertCooldown = ALERT_COOLDOWN;
-    this.lastVault1NetApy = null;
-    this.lastVault2NetApy = null;
+    this.lastVault1NetApy = this.state.get('lastVault1NetApy');
+    this.lastVault2NetApy = this.state.get('lastVault2NetApy');
+
+    // Prometheus metrics and the poll outcome for /healthz
+    this.metrics = new Metrics('morpho_vaults');
+    this.metrics.gauge('net_apy', 'Total net APY including rewards');
+    this.metrics.gauge('tvl_usd', 'Total assets in USD');
+    this.metrics.gauge('apy_difference', 'Net APY of vault 1 minus vault 2');
+    this.metrics.gauge('poll_duration_seconds', 'Duration of the last poll');
+    this.metrics.gauge('last_success_timestamp_seconds', 'End of the last successful poll');
+    this.metrics.counter('polls_total', 'Polls run');
+    this.metrics.counter('poll_errors_total', 'Failed polls');
+    this.metrics.counter('alerts_sent_total', 'Alerts sent');
+    this.lastSuccess = null;
+    this.api = { ok: null };
     
-    // Initialize Telegram notifier
-    this.telegram = new TelegramNotifier(
-      process.env.TOKEN,
-      process.env.CHANNEL
-    );
+    // Notification channels and their routing rules
+    this.notifier = createNotifiers(NOTIFIERS, { state: this.state });
   }
   
   async fetchVaultData() {
@@ -179,6 +199,7 @@ class VaultMonitor {
 
       // Get all chain vaults
       const allVaults = response.data.data.vaults.items;
+      this.api = { ok: true, checkedAt: new Date().toISOString() };
       
       // Filter to get only the vaults we're interested in
       const targetVaults = allVaults.filter(vault => 
@@ -207,6 +228,7 @@ class VaultMonitor {
       return vaultsWithTotals;
     } catch (error) {
       console.error('Error fetching vault data:', error.message);
+      this.api = { ok: false, checkedAt: new Date().toISOString(), error: error.message };
       if (error.response) {
         console.error('API response:', error.response.data);
       }
@@ -222,13 +244,66 @@ class VaultMonitor {
       return;
     }
 
-    console.log(message);
-    // Send Telegram notification
-    await this.telegram.sendMessage(message);
+    const alert = { source: 'vaultMonitor', kind: 'apy', severity: 'info', ...message };
+    console.log(toText(alert));
+    const entry = {
+      source: alert.source,
+      key: `${VAULT_1}:${VAULT_2}`,
+      kind: alert.kind,
+      severity: alert.severity,
+      title: alert.title,
+      payload: alert
+    };
+
+    if (this.isPaused()) {
+      console.log(`Alerts paused, not sending ${alert.kind} alert`);
+      this.state.recordAlert({ ...entry, suppressed: true });
+      return;
+    }
+
+    // Send to every notification channel routed to vault updates
+    const { delivered, failed } = await this.notifier.send(alert);
+    this.state.recordAlert({
+      ...entry,
+      delivered,
+      ...(failed.length > 0 ? { failed } : {})
+    });
+    // The cooldown only starts once a channel has the update
+    if (delivered.length === 0 && failed.length > 0) return;
+    this.metrics.inc('alerts_sent_total');
 
     this.lastAlertTime = currentTime;
+    this.state.set('lastAlertTime', currentTime);
   }
   
+  // /pause is answered by the position monitor's bot and saved in its state
+  // file, which is read here so vault alerts pause too
+  isPaused() {
+    const saved = StateStore.peek(path.join(STATE_DIR, 'monitor.json'));
+    const paused = saved && saved.paused;
+    return Boolean(paused && (paused.until === null || Date.now() < paused.until));
+  }
+
+  // /healthz: a recent successful poll and a reachable Morpho API
+  checkHealth() {
+    const pollAge = this.lastSuccess === null ? null : Date.now() - this.lastSuccess;
+    return {
+      ok: this.api.ok === true && pollAge !== null && pollAge <= HEALTH_MAX_POLL_AGE,
+      lastSuccessfulPoll: this.lastSuccess === null ? null : new Date(this.lastSuccess).toISOString(),
+      lastPollAgeSeconds: pollAge === null ? null : pollAge / 1000,
+      maxPollAgeSeconds: HEALTH_MAX_POLL_AGE / 1000,
+      api: this.api
+    };
+  }
+
+  updateMetrics(vaults) {
+    for (const vault of vaults) {
+      const labels = { vault: vault.address, name: vault.name };
+      this.metrics.set('net_apy', labels, vault.totalNetApy);
+      this.metrics.set('tvl_usd', labels, parseFloat(safeGet(vault, 'state.totalAssetsUsd', NaN)));
+    }
+  }
+
   async monitorVaults() {
     console.log(`Starting Morpho vault APY monitor for vaults:`);
     console.log(`Vault 1: ${VAULT_1}`);
@@ -237,26 +312,42 @@ class VaultMonitor {
     console.log(`Checking every ${CHECK_INTERVAL / 1000} seconds`);
     console.log(`Alert cooldown: ${ALERT_COOLDOWN / 1000} seconds`);
 
-    // Send a telegram message to indicate the start of monitoring
-    const startMessage = `
-<b>📊 Morpho Vault APY Monitor Started 📊</b>
-Monitoring vaults:
-- Vault 1: ${VAULT_1}
-- Vault 2: ${VAULT_2}
-APY difference threshold: ${APY_DIFF_THRESHOLD * 100}%
-Checking interval: ${CHECK_INTERVAL / 1000} seconds
-Alert cooldown: ${ALERT_COOLDOWN / 1000} seconds
-`;
-    await this.telegram.sendMessage(startMessage);
+    // Send a message to indicate the start of monitoring
+    await this.notifier.send({
+      source: 'vaultMonitor',
+      kind: 'start',
+      severity: 'info',
+      emoji: '📊',
+      title: 'Morpho Vault APY Monitor Started',
+      fields: [
+        ['Vault 1', VAULT_1],
+        ['Vault 2', VAULT_2],
+        ['APY difference threshold', `${APY_DIFF_THRESHOLD * 100}%`],
+        ['Checking interval', `${CHECK_INTERVAL / 1000} seconds`],
+        ['Alert cooldown', `${ALERT_COOLDOWN / 1000} seconds`]
+      ]
+    });
     
+    if (METRICS_PORT) {
+      startMetricsServer({
+        port: METRICS_PORT,
+        metrics: this.metrics,
+        checkHealth: async () => this.checkHealth()
+      });
+    }
+
     const monitor = async () => {
+      const started = Date.now();
+      this.metrics.inc('polls_total');
       try {
         const vaultsData = await this.fetchVaultData();
 
         if (!vaultsData || vaultsData.length !== 2) {
           console.log("Could not fetch both vault data, will retry");
+          this.metrics.inc('poll_errors_total');
           return;
         }
+        this.updateMetrics(vaultsData);
 
         const vault1 = vaultsData.find(v => v.address.toLowerCase() === VAULT_1.toLowerCase());
         const vault2 = vaultsData.find(v => v.address.toLowerCase() === VAULT_2.toLowerCase());
@@ -270,6 +361,19 @@ Alert cooldown: ${ALERT_COOLDOWN / 1000} seconds
         const vault2NetApy = vault2.totalNetApy;
         const apyDiff = vault1NetApy - vault2NetApy;
         const absDiff = Math.abs(apyDiff);
+        this.metrics.set('apy_difference', {}, apyDiff);
+
+        // Latest comparison, shown by the liquidation monitor's /vaults command
+        this.state.set('lastComparison', {
+          time: new Date().toISOString(),
+          vaults: [vault1, vault2].map(vault => ({
+            name: vault.name,
+            address: vault.address,
+            netApy: vault.totalNetApy,
+            tvlUsd: parseFloat(safeGet(vault, 'state.totalAssetsUsd', 0))
+          })),
+          difference: apyDiff
+        });
         
         // Format the values for display
         console.log("-----------------------------------");
@@ -280,7 +384,7 @@ Alert cooldown: ${ALERT_COOLDOWN / 1000} seconds
         
         // Track APY changes
         let apyChanged = false;
-        let changeMessage = "";
+        let changeLines = [];
         
         if (this.lastVault1NetApy !== null && this.lastVault2NetApy !== null) {
           const vault1Change = vault1NetApy - this.lastVault1NetApy;
@@ -291,17 +395,18 @@ Alert cooldown: ${ALERT_COOLDOWN / 1000} seconds
           
           if (Math.abs(vault1Change) > 0.0001 || Math.abs(vault2Change) > 0.0001) {
             apyChanged = true;
-            changeMessage = `
-<b>APY Changes:</b>
-- ${vault1.name}: ${formatPercentage(this.lastVault1NetApy)} → ${formatPercentage(vault1NetApy)} (${vault1Change > 0 ? '+' : ''}${formatPercentage(vault1Change)})
-- ${vault2.name}: ${formatPercentage(this.lastVault2NetApy)} → ${formatPercentage(vault2NetApy)} (${vault2Change > 0 ? '+' : ''}${formatPercentage(vault2Change)})
-`;
+            changeLines = [
+              `${vault1.name}: ${formatPercentage(this.lastVault1NetApy)} → ${formatPercentage(vault1NetApy)} (${vault1Change > 0 ? '+' : ''}${formatPercentage(vault1Change)})`,
+              `${vault2.name}: ${formatPercentage(this.lastVault2NetApy)} → ${formatPercentage(vault2NetApy)} (${vault2Change > 0 ? '+' : ''}${formatPercentage(vault2Change)})`
+            ];
           }
         }
         
         // Update last APY values
         this.lastVault1NetApy = vault1NetApy;
         this.lastVault2NetApy = vault2NetApy;
+        this.state.set('lastVault1NetApy', vault1NetApy);
+        this.state.set('lastVault2NetApy', vault2NetApy);
         
         // Check if we need to send an alert
         const betterVault = apyDiff > 0 ? vault1 : vault2;
@@ -309,27 +414,43 @@ Alert cooldown: ${ALERT_COOLDOWN / 1000} seconds
         
         // Alert if the APY difference exceeds the threshold OR if APYs changed significantly
         if (absDiff >= APY_DIFF_THRESHOLD || apyChanged) {
-          const message = `
-<b>🔄 Morpho Vault APY Update 🔄</b>
-
-<b>Current APY Comparison:</b>
-- ${vault1.name}: ${formatPercentage(vault1NetApy)}
-- ${vault2.name}: ${formatPercentage(vault2NetApy)}
-- Difference: ${formatPercentage(absDiff)}
-
-${apyChanged ? changeMessage : ''}
-
-<b>Recommendation:</b> ${betterVault.name} currently offers better returns (higher by ${formatPercentage(absDiff)}) than ${worseVault.name}.
-
-<b>Other Factors:</b>
-- Timelock: ${vault1.name} (${safeGet(vault1, 'state.timelock', 'N/A')} sec) vs ${vault2.name} (${safeGet(vault2, 'state.timelock', 'N/A')} sec)
-- TVL: ${vault1.name} (${parseFloat(safeGet(vault1, 'state.totalAssetsUsd', 0)).toFixed(2)}) vs ${vault2.name} (${parseFloat(safeGet(vault2, 'state.totalAssetsUsd', 0)).toFixed(2)})
-`;
+          const message = {
+            emoji: '🔄',
+            title: 'Morpho Vault APY Update',
+            sections: [
+              {
+                title: 'Current APY Comparison',
+                lines: [
+                  `${vault1.name}: ${formatPercentage(vault1NetApy)}`,
+                  `${vault2.name}: ${formatPercentage(vault2NetApy)}`,
+                  `Difference: ${formatPercentage(absDiff)}`
+                ]
+              },
+              { title: 'APY Changes', lines: apyChanged ? changeLines : [] },
+              {
+                title: 'Recommendation',
+                lines: [`${betterVault.name} currently offers better returns (higher by ${formatPercentage(absDiff)}) than ${worseVault.name}.`]
+              },
+              {
+                title: 'Other Factors',
+                lines: [
+                  `Timelock: ${vault1.name} (${safeGet(vault1, 'state.timelock', 'N/A')} sec) vs ${vault2.name} (${safeGet(vault2, 'state.timelock', 'N/A')} sec)`,
+                  `TVL: ${vault1.name} (${parseFloat(safeGet(vault1, 'state.totalAssetsUsd', 0)).toFixed(2)}) vs ${vault2.name} (${parseFloat(safeGet(vault2, 'state.totalAssetsUsd', 0)).toFixed(2)})`
+                ]
+              }
+            ]
+          };
           
           await this.logAlert(message);
         }
+
+        this.lastSuccess = Date.now();
+        this.metrics.set('last_success_timestamp_seconds', {}, Math.floor(this.lastSuccess / 1000));
       } catch (error) {
         console.error("Error in monitoring loop:", error);
+        this.metrics.inc('poll_errors_total');
+      } finally {
+        this.metrics.set('poll_duration_seconds', {}, (Date.now() - started) / 1000);
       }
     };
 